@@ -0,0 +1,28 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+// lib/ is written for Next.js: ES modules in .js files with extensionless
+// relative imports, in a package without "type": "module". These hooks let
+// plain Node load it the same way, for app files only (not node_modules).
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const isAppFile = (url) => {
+  if (!url?.startsWith("file:")) return false;
+  const file = fileURLToPath(url);
+  return file.startsWith(ROOT + path.sep) && !file.includes(`${path.sep}node_modules${path.sep}`);
+};
+
+export const resolve = (specifier, context, nextResolve) => {
+  if (/^\.\.?\//.test(specifier) && !path.extname(specifier) && isAppFile(context.parentURL)) {
+    const base = path.resolve(path.dirname(fileURLToPath(context.parentURL)), specifier);
+    const file = [`${base}.js`, path.join(base, "index.js")].find(candidate => fs.existsSync(candidate));
+    if (file) return nextResolve(pathToFileURL(file).href, context);
+  }
+  return nextResolve(specifier, context);
+};
+
+export const load = (url, context, nextLoad) => {
+  if (url.endsWith(".js") && isAppFile(url)) return nextLoad(url, { ...context, format: "module" });
+  return nextLoad(url, context);
+};
@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+import { register } from "node:module";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+register("./hooks.mjs", import.meta.url);
+
+// resumes/, templates/ and data/ are read relative to the app root, like
+// `next start`; paths given on the command line stay relative to where it ran
+const cwd = process.cwd();
+process.chdir(path.resolve(path.dirname(fileURLToPath(import.meta.url)), ".."));
+
+// The library logs progress with console.log; keep stdout for results
+console.log = console.error;
+// Piped into `head` and friends: stop quietly once the reader has gone
+process.stdout.on("error", (error) => {
+  if (error.code !== "EPIPE") throw error;
+  process.exit(0);
+});
+
+const { run } = await import("../lib/cli.js");
+process.exitCode = await run(process.argv.slice(2), { cwd });
@@ -0,0 +1,13 @@
+import crypto from "crypto";
+
+// Scripts and cron jobs can act as an admin without a session by sending
+// ADMIN_TOKEN as "Authorization: Bearer <token>". Unset means no token access.
+export const hasAdminToken = (req) => {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) return false;
+
+  const provided = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
@@ -0,0 +1,66 @@
+import { hasAdminToken } from "../admin";
+import { ApiError, handleRouteError, sendError } from "../errors";
+import { ensureBootstrapAdmin, getUser, publicUser } from "./users";
+import { SESSION_COOKIE, clearCookie, createSessionToken, isCurrentSession, sessionMaxAgeSeconds, setCookie, verifyToken } from "./sessions";
+
+// AUTH_DISABLED=true restores the old open behaviour (everyone is an admin),
+// for local development on a trusted machine
+export const isAuthDisabled = () => process.env.AUTH_DISABLED === "true";
+
+const LOCAL_ADMIN = { username: "local", role: "admin", profiles: [] };
+const TOKEN_ADMIN = { username: "admin-token", role: "admin", profiles: [] };
+
+// -> public user record for the request, or null when nobody is signed in
+export const getRequestUser = async (req) => {
+  if (isAuthDisabled()) return LOCAL_ADMIN;
+  if (hasAdminToken(req)) return TOKEN_ADMIN;
+
+  await ensureBootstrapAdmin();
+  const session = verifyToken(req.cookies?.[SESSION_COOKIE]);
+  if (!session) return null;
+
+  const user = getUser(session.sub);
+  return user && isCurrentSession(session, user) ? publicUser(user) : null;
+};
+
+export const isAdmin = (user) => user?.role === "admin";
+
+export const canAccessProfile = (user, id) => isAdmin(user) || Boolean(user?.profiles?.includes(id));
+
+// Profiles outside the user's scope look exactly like missing ones
+export const requireProfileAccess = (user, id) => {
+  if (id && !canAccessProfile(user, id)) {
+    throw new ApiError("PROFILE_NOT_FOUND", `Profile "${id}" not found`);
+  }
+};
+
+// Recruiters see the files they generated, while the profile is still theirs
+export const canViewHistoryEntry = (user, entry) =>
+  isAdmin(user) || (entry.user === user?.username && canAccessProfile(user, entry.profile));
+
+// Wraps an API route: answers 401 without a session (403 without the role)
+// and passes the signed-in user to the handler as req.user
+export const withAuth = (handler, { role } = {}) => async (req, res) => {
+  let user;
+  try {
+    user = await getRequestUser(req);
+  } catch (error) {
+    return handleRouteError(res, error, { action: "Authentication" });
+  }
+
+  if (!user) {
+    return sendError(res, "UNAUTHORIZED", "Sign in to continue");
+  }
+  if (role && user.role !== role) {
+    return sendError(res, "FORBIDDEN", `This needs the ${role} role`);
+  }
+
+  req.user = user;
+  return handler(req, res);
+};
+
+export const startSession = (req, res, user) => {
+  setCookie(req, res, SESSION_COOKIE, createSessionToken(user), { maxAge: sessionMaxAgeSeconds() });
+};
+
+export const endSession = (req, res) => clearCookie(req, res, SESSION_COOKIE);
@@ -0,0 +1,107 @@
+import crypto from "crypto";
+import { ApiError } from "../errors";
+import { safeNextPath } from "../redirect";
+import { clearCookie, setCookie, signToken, verifyToken } from "./sessions";
+import { createUser, findOidcUser, linkOidcSubject } from "./users";
+
+// Optional single sign-on with any OpenID Connect provider (Google, Entra ID,
+// Okta, Keycloak...), using the authorization code flow with PKCE. Enabled by
+// OIDC_ISSUER + OIDC_CLIENT_ID (+ OIDC_CLIENT_SECRET for confidential clients).
+// People still need a user here for their role and profiles, unless
+// OIDC_AUTO_CREATE=true adds them as recruiters with no profiles.
+const STATE_COOKIE = "resume_oidc";
+const STATE_MAX_AGE_SECONDS = 600;
+const CALLBACK_PATH = "/api/auth/oidc/callback";
+
+export const isOidcEnabled = () => Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID);
+
+export const oidcLabel = () => process.env.OIDC_LABEL || "Single sign-on";
+
+let discovery = null;
+const getDiscovery = async () => {
+  if (!discovery) {
+    const url = `${process.env.OIDC_ISSUER.replace(/\/$/, "")}/.well-known/openid-configuration`;
+    discovery = fetch(url).then(async response => {
+      if (!response.ok) throw new Error(`OIDC discovery failed (HTTP ${response.status}) for ${url}`);
+      return response.json();
+    }).catch(error => {
+      discovery = null;
+      throw error;
+    });
+  }
+  return discovery;
+};
+
+const redirectUri = (req) => {
+  if (process.env.OIDC_REDIRECT_URI) return process.env.OIDC_REDIRECT_URI;
+  const proto = String(req.headers["x-forwarded-proto"] || (req.socket?.encrypted ? "https" : "http")).split(",")[0].trim();
+  return `${proto}://${req.headers["x-forwarded-host"] || req.headers.host}${CALLBACK_PATH}`;
+};
+
+// -> provider URL to redirect the browser to; remembers state in a short-lived cookie
+export const beginOidcLogin = async (req, res, next) => {
+  const config = await getDiscovery();
+  const state = crypto.randomBytes(16).toString("base64url");
+  const verifier = crypto.randomBytes(32).toString("base64url");
+  const challenge = crypto.createHash("sha256").update(verifier).digest("base64url");
+
+  setCookie(req, res, STATE_COOKIE, signToken({ state, verifier, next: safeNextPath(next) }, STATE_MAX_AGE_SECONDS), { maxAge: STATE_MAX_AGE_SECONDS });
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: process.env.OIDC_CLIENT_ID,
+    redirect_uri: redirectUri(req),
+    scope: process.env.OIDC_SCOPES || "openid email profile",
+    state,
+    code_challenge: challenge,
+    code_challenge_method: "S256",
+  });
+  return `${config.authorization_endpoint}?${params}`;
+};
+
+const failed = (message) => new ApiError("UNAUTHORIZED", `Single sign-on failed: ${message}`);
+
+// Handles the provider's redirect back -> { user, next }
+export const completeOidcLogin = async (req, res) => {
+  const { code, state, error, error_description: description } = req.query;
+  const saved = verifyToken(req.cookies?.[STATE_COOKIE]);
+  clearCookie(req, res, STATE_COOKIE);
+
+  if (error) throw failed(description || error);
+  if (!saved || !state || saved.state !== state) throw failed("the sign-in request expired or was started in another browser. Try again.");
+  if (!code) throw failed("the provider did not return an authorization code");
+
+  const config = await getDiscovery();
+  const tokenResponse = await fetch(config.token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: redirectUri(req),
+      client_id: process.env.OIDC_CLIENT_ID,
+      ...(process.env.OIDC_CLIENT_SECRET ? { client_secret: process.env.OIDC_CLIENT_SECRET } : {}),
+      code_verifier: saved.verifier,
+    }),
+  });
+  if (!tokenResponse.ok) throw failed(`token exchange returned HTTP ${tokenResponse.status}`);
+  const { access_token: accessToken } = await tokenResponse.json();
+
+  // The userinfo endpoint is called over TLS with the fresh access token, so
+  // its claims can be trusted without verifying the ID token signature here
+  const userinfoResponse = await fetch(config.userinfo_endpoint, { headers: { Authorization: `Bearer ${accessToken}` } });
+  if (!userinfoResponse.ok) throw failed(`userinfo returned HTTP ${userinfoResponse.status}`);
+  const claims = await userinfoResponse.json();
+  if (!claims.sub) throw failed("the provider did not return a subject");
+
+  let user = findOidcUser(claims);
+  // Unlinked users are only matched (or created) by an email the provider has verified
+  if (!user && claims.email && claims.email_verified !== true) throw failed(`${claims.email} is not verified with the provider`);
+  if (!user && process.env.OIDC_AUTO_CREATE === "true" && claims.email) {
+    user = await createUser({ username: claims.email, role: "recruiter", name: claims.name, email: claims.email, oidcSubject: claims.sub });
+    console.log(`🔐 Created recruiter "${user.username}" from single sign-on`);
+  }
+  if (!user) throw failed(`${claims.email || claims.sub} has no account here, or it is linked to another sign-in. Ask an admin to add you.`);
+
+  return { user: linkOidcSubject(user, claims.sub), next: safeNextPath(saved.next) };
+};
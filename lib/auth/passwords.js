@@ -0,0 +1,37 @@
+import crypto from "crypto";
+
+// Stored as "scrypt$<N>$<r>$<p>$<salt>$<hash>" (base64) so the cost can be
+// raised later without invalidating existing passwords
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+const scrypt = (password, salt, { N, r, p }) => new Promise((resolve, reject) => {
+  crypto.scrypt(password, salt, KEY_LENGTH, { N, r, p, maxmem: 64 * 1024 * 1024 }, (err, key) => (err ? reject(err) : resolve(key)));
+});
+
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(String(password), salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return ["scrypt", N, r, p, salt.toString("base64"), key.toString("base64")].join("$");
+};
+
+// Compared in constant time; malformed hashes simply don't match
+export const verifyPassword = async (password, stored) => {
+  const [scheme, N, r, p, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "base64");
+  const key = await scrypt(String(password), Buffer.from(salt, "base64"), { N: Number(N), r: Number(r), p: Number(p) });
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+};
+
+// Hash of a random password, so unknown usernames take as long to reject as wrong passwords
+let dummyHash = null;
+export const getDummyHash = async () => {
+  if (!dummyHash) dummyHash = await hashPassword(crypto.randomBytes(16).toString("hex"));
+  return dummyHash;
+};
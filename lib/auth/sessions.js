@@ -0,0 +1,76 @@
+import crypto from "crypto";
+
+// Sessions are signed cookies rather than server-side records, so they work
+// across serverless instances. The user is still looked up on every request,
+// so deleting a user or changing their password ends their sessions.
+export const SESSION_COOKIE = "resume_session";
+
+const DEFAULT_SESSION_HOURS = 12;
+
+let generatedSecret = null;
+const getSecret = () => {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+  if (!generatedSecret) {
+    console.warn("⚠️ AUTH_SECRET is not set: using a random secret, so sessions end when the server restarts");
+    generatedSecret = crypto.randomBytes(32).toString("hex");
+  }
+  return generatedSecret;
+};
+
+const hmac = (data) => crypto.createHmac("sha256", getSecret()).update(data).digest("base64url");
+
+export const sessionMaxAgeSeconds = () => Math.round((Number(process.env.AUTH_SESSION_HOURS) || DEFAULT_SESSION_HOURS) * 3600);
+
+// payload -> "<base64url JSON>.<signature>", valid for maxAgeSeconds
+export const signToken = (payload, maxAgeSeconds) => {
+  const body = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() + maxAgeSeconds * 1000 })).toString("base64url");
+  return `${body}.${hmac(body)}`;
+};
+
+// -> payload, or null when the token is malformed, tampered with or expired
+export const verifyToken = (token) => {
+  const [body, signature] = String(token || "").split(".");
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(hmac(body));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf-8"));
+    return payload.exp > Date.now() ? payload : null;
+  } catch (parseError) {
+    return null;
+  }
+};
+
+// Changes whenever the password does, which invalidates older session tokens.
+// The AUTH_ADMIN_* admin is stamped from the env password rather than its
+// salted hash, which differs on every instance that created it.
+const passwordStamp = (user) => {
+  if (user.fromEnv && process.env.AUTH_ADMIN_PASSWORD) return hmac(`admin:${process.env.AUTH_ADMIN_PASSWORD}`).slice(0, 12);
+  return crypto.createHash("sha256").update(user.passwordHash || "").digest("base64url").slice(0, 12);
+};
+
+export const createSessionToken = (user) => signToken({ sub: user.username, pw: passwordStamp(user) }, sessionMaxAgeSeconds());
+
+// False once the user's password has changed since the session was created
+export const isCurrentSession = (session, user) => session.pw === passwordStamp(user);
+
+const isHttps = (req) => Boolean(req.socket?.encrypted) || String(req.headers["x-forwarded-proto"] || "").split(",")[0].trim() === "https";
+
+// Adds a Set-Cookie header without dropping ones already set
+export const setCookie = (req, res, name, value, { maxAge, path = "/" } = {}) => {
+  const cookie = [
+    `${name}=${encodeURIComponent(value)}`,
+    `Path=${path}`,
+    "HttpOnly",
+    "SameSite=Lax",
+    ...(isHttps(req) ? ["Secure"] : []),
+    ...(maxAge !== undefined ? [`Max-Age=${maxAge}`] : []),
+  ].join("; ");
+  const existing = res.getHeader("Set-Cookie");
+  res.setHeader("Set-Cookie", [...(existing ? [].concat(existing) : []), cookie]);
+};
+
+export const clearCookie = (req, res, name, options = {}) => setCookie(req, res, name, "", { ...options, maxAge: 0 });
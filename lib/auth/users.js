@@ -0,0 +1,178 @@
+import { ApiError } from "../errors";
+import { isValidProfileId } from "../profiles";
+import { getUserStore } from "../storage";
+import { MIN_PASSWORD_LENGTH, getDummyHash, hashPassword, verifyPassword } from "./passwords";
+
+// Admins see and manage everything; recruiters only work with the profiles assigned to them
+export const ROLES = ["admin", "recruiter"];
+
+// Lowercase so logins are case-insensitive; "@" allowed so emails work as usernames (OIDC)
+const USERNAME_REGEX = /^[a-z0-9][a-z0-9._@+-]{1,63}$/;
+
+export const normalizeUsername = (username) => String(username || "").trim().toLowerCase();
+
+// Never send password hashes to clients
+export const publicUser = ({ passwordHash, ...user }) => ({ ...user, hasPassword: Boolean(passwordHash) });
+
+const invalid = (message, path) => new ApiError("INVALID_REQUEST", `Invalid ${path}: ${message}`, [{ path, message }]);
+
+const checkRole = (role) => {
+  if (!ROLES.includes(role)) throw invalid(`must be one of: ${ROLES.join(", ")}`, "role");
+};
+
+const checkProfiles = (profiles) => {
+  if (!Array.isArray(profiles)) throw invalid("must be a list of profile ids", "profiles");
+  const bad = profiles.findIndex(id => !isValidProfileId(id));
+  if (bad !== -1) throw invalid(`"${profiles[bad]}" is not a valid profile id`, `profiles[${bad}]`);
+};
+
+const checkPassword = (password) => {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw invalid(`must be at least ${MIN_PASSWORD_LENGTH} characters`, "password");
+  }
+};
+
+const adminCount = (users) => users.filter(user => user.role === "admin").length;
+
+export const listUsers = () => getUserStore().list().sort((a, b) => a.username.localeCompare(b.username));
+
+export const getUser = (username) => getUserStore().get(normalizeUsername(username));
+
+// password is optional for users who only sign in through OIDC
+export const createUser = async ({ username: rawUsername, password, role = "recruiter", profiles = [], name, email, oidcSubject }) => {
+  const username = normalizeUsername(rawUsername);
+  if (!USERNAME_REGEX.test(username)) {
+    throw invalid("must be 2-64 characters: letters, numbers, dots, dashes, underscores, @ or +", "username");
+  }
+  checkRole(role);
+  checkProfiles(profiles);
+  if (password !== undefined) checkPassword(password);
+
+  const store = getUserStore();
+  if (store.get(username)) throw new ApiError("USER_EXISTS", `User "${username}" already exists`);
+
+  const now = new Date().toISOString();
+  const user = {
+    username,
+    role,
+    profiles: role === "admin" ? [] : [...new Set(profiles)],
+    ...(name ? { name: String(name) } : {}),
+    ...(email ? { email: String(email) } : {}),
+    ...(oidcSubject ? { oidcSubject } : {}),
+    ...(password !== undefined ? { passwordHash: await hashPassword(password) } : {}),
+    createdAt: now,
+    updatedAt: now,
+  };
+  store.save(user);
+  return user;
+};
+
+// { role?, profiles?, password?, name?, email? }
+export const updateUser = async (rawUsername, changes) => {
+  const store = getUserStore();
+  const user = store.get(normalizeUsername(rawUsername));
+  if (!user) throw new ApiError("USER_NOT_FOUND", `User "${rawUsername}" not found`);
+
+  const { role = user.role, profiles = user.profiles, password, name, email } = changes;
+  checkRole(role);
+  checkProfiles(profiles);
+  if (password !== undefined) checkPassword(password);
+  if (user.role === "admin" && role !== "admin" && adminCount(store.list()) === 1) {
+    throw invalid("the last admin can't be demoted", "role");
+  }
+
+  const updated = {
+    ...user,
+    role,
+    profiles: role === "admin" ? [] : [...new Set(profiles)],
+    ...(name !== undefined ? { name: String(name) } : {}),
+    ...(email !== undefined ? { email: String(email) } : {}),
+    ...(password !== undefined ? { passwordHash: await hashPassword(password) } : {}),
+    updatedAt: new Date().toISOString(),
+  };
+  // A new password is no longer the one from AUTH_ADMIN_PASSWORD
+  if (password !== undefined) delete updated.fromEnv;
+  store.save(updated);
+  return updated;
+};
+
+export const deleteUser = (rawUsername) => {
+  const store = getUserStore();
+  const user = store.get(normalizeUsername(rawUsername));
+  if (!user) return false;
+  if (user.role === "admin" && adminCount(store.list()) === 1) {
+    throw invalid("the last admin can't be deleted", "username");
+  }
+  return store.remove(user.username);
+};
+
+// Give a recruiter access to one more profile (e.g. one they just created)
+export const assignProfile = (username, id) => {
+  const store = getUserStore();
+  const user = store.get(username);
+  if (!user || user.role === "admin" || user.profiles.includes(id)) return;
+  store.save({ ...user, profiles: [...user.profiles, id], updatedAt: new Date().toISOString() });
+};
+
+// A deleted profile is taken off every user, so a new profile reusing the id starts unassigned
+export const unassignProfile = (id) => {
+  const store = getUserStore();
+  for (const user of store.list().filter(u => u.profiles.includes(id))) {
+    store.save({ ...user, profiles: user.profiles.filter(p => p !== id), updatedAt: new Date().toISOString() });
+  }
+};
+
+// -> user, or null for an unknown username or wrong password
+export const verifyCredentials = async (rawUsername, password) => {
+  await ensureBootstrapAdmin();
+  const user = getUser(rawUsername);
+  if (!user?.passwordHash) {
+    await verifyPassword(String(password || ""), await getDummyHash());
+    return null;
+  }
+  return (await verifyPassword(String(password || ""), user.passwordHash)) ? user : null;
+};
+
+// OIDC logins match the user linked to the subject. Until a user is linked,
+// their first login matches by username or email instead, but only with an
+// email the provider says it verified, and never a user linked to another subject.
+export const findOidcUser = ({ sub, email, email_verified: emailVerified }) => {
+  const users = getUserStore().list();
+  const linked = users.find(user => user.oidcSubject && user.oidcSubject === sub);
+  if (linked) return linked;
+
+  const address = normalizeUsername(email);
+  if (!address || emailVerified !== true) return null;
+  return users.find(user => !user.oidcSubject && (user.username === address || normalizeUsername(user.email) === address)) || null;
+};
+
+export const linkOidcSubject = (user, sub) => {
+  if (user.oidcSubject === sub) return user;
+  if (user.oidcSubject) throw new ApiError("FORBIDDEN", `User "${user.username}" is already linked to a different single sign-on account`);
+  const linked = { ...user, oidcSubject: sub, updatedAt: new Date().toISOString() };
+  getUserStore().save(linked);
+  return linked;
+};
+
+// With AUTH_ADMIN_USERNAME and AUTH_ADMIN_PASSWORD set, an empty user store
+// gets that admin, so a fresh deployment can be signed into. With the memory
+// store every serverless instance creates its own copy, hashed with its own
+// salt, so `fromEnv` has its sessions stamped from the env password instead
+// (see passwordStamp in ./sessions) until the password is changed here.
+let bootstrapped = null;
+export const ensureBootstrapAdmin = () => {
+  if (!bootstrapped) {
+    bootstrapped = (async () => {
+      const username = process.env.AUTH_ADMIN_USERNAME;
+      const password = process.env.AUTH_ADMIN_PASSWORD;
+      if (!username || !password || getUserStore().list().length > 0) return;
+      const user = await createUser({ username, password, role: "admin" });
+      getUserStore().save({ ...user, fromEnv: true });
+      console.log(`🔐 Created admin user "${normalizeUsername(username)}" from AUTH_ADMIN_USERNAME`);
+    })().catch(error => {
+      bootstrapped = null;
+      throw error;
+    });
+  }
+  return bootstrapped;
+};
@@ -0,0 +1,179 @@
+import JSZip from "jszip";
+import { sanitizeFilename } from "./filename";
+import { getOutputFormat, OUTPUT_FORMATS } from "./export";
+import { generateResume } from "./generate";
+import { ApiError, missingField } from "./errors";
+import { recordGeneration } from "./history";
+import { requireProfileAccess } from "./auth";
+import { loadProfile } from "./profiles";
+import { getTailorProvider, tailorResume } from "./tailor";
+
+export const MAX_BATCH_ITEMS = 25;
+
+// Matches the default PDF pool size so renders don't just queue up
+const BATCH_CONCURRENCY = 2;
+
+// Run fn over items with at most `limit` in flight, keeping the input order
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await fn(items[idx], idx);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// Two request shapes:
+//   { items: [{ profile, jd, company?, role?, template?, type?, sections?, hiddenJobs?, theme?, maxPages?, trimBullets? }] }  - completed JSON per profile
+//   { profiles: ["Jane_Doe", ...], jobDescription }          - tailor each profile first
+const normalizeItems = ({ items, profiles, jobDescription }) => {
+  if (Array.isArray(items) && items.length > 0) {
+    return items.map(item => (typeof item === "object" && item !== null ? item : { profile: item }));
+  }
+  if (Array.isArray(profiles) && profiles.length > 0) {
+    if (!jobDescription || !String(jobDescription).trim()) {
+      throw missingField("jobDescription", "jobDescription required when batching by profiles");
+    }
+    return profiles.map(profile => ({ profile }));
+  }
+  throw new ApiError("INVALID_REQUEST", "Provide items: [{ profile, jd }] or profiles: [...] with a jobDescription", [
+    { path: "items", message: "must be a non-empty array, or send profiles" },
+  ]);
+};
+
+// Checked per item so one bad entry doesn't sink the batch
+const requireItemFields = ({ profile, jd }, tailoring) => {
+  if (!profile) throw missingField("profile", "Profile required");
+  if (!jd && !tailoring) throw missingField("jd", "Completed resume JSON required");
+};
+
+// Render every item and collect the files plus a manifest of per-item results.
+// Item failures are recorded in the manifest; only a malformed request throws.
+// With a `user`, items for profiles outside their scope fail as not found.
+export const runBatch = async ({ items, profiles, jobDescription, company, role, template, sections, hiddenJobs, theme, maxPages, trimBullets, format = "pdf" }, { user } = {}) => {
+  const outputFormat = getOutputFormat(format);
+  if (!outputFormat) {
+    throw new ApiError("UNSUPPORTED_FORMAT", `Unsupported format "${format}". Use one of: ${Object.keys(OUTPUT_FORMATS).join(", ")}`, [
+      { path: "format", message: `must be one of: ${Object.keys(OUTPUT_FORMATS).join(", ")}` },
+    ]);
+  }
+
+  const entries = normalizeItems({ items, profiles, jobDescription });
+  if (entries.length > MAX_BATCH_ITEMS) {
+    throw new ApiError("BATCH_TOO_LARGE", `Batch too large: ${entries.length} items (max ${MAX_BATCH_ITEMS})`);
+  }
+
+  // Only resolve a provider when some item actually needs tailoring
+  const needsTailoring = Boolean(jobDescription) && entries.some(item => !item.jd);
+  const provider = needsTailoring ? getTailorProvider() : null;
+
+  const results = await mapWithConcurrency(entries, BATCH_CONCURRENCY, async (item, index) => {
+    const itemCompany = item.company || company;
+    const itemRole = item.role || role;
+    const itemSections = item.sections || sections;
+    const itemHiddenJobs = item.hiddenJobs || hiddenJobs;
+    const itemTheme = item.theme || theme;
+    const itemMaxPages = item.maxPages ?? maxPages;
+    const itemTrimBullets = item.trimBullets ?? trimBullets;
+    const result = { index, profile: item.profile || null, status: "error" };
+    const started = Date.now();
+
+    try {
+      requireItemFields(item, needsTailoring);
+      if (user) requireProfileAccess(user, item.profile);
+
+      let { jd } = item;
+      if (!jd) {
+        const profileData = loadProfile(item.profile);
+        if (!profileData) {
+          throw new ApiError("PROFILE_NOT_FOUND", `Profile "${item.profile}" not found`);
+        }
+        console.log(`Batch item ${index}: tailoring "${item.profile}" with ${provider.name} provider...`);
+        const content = await tailorResume({ provider, profileData, jobDescription, company: itemCompany, role: itemRole });
+        jd = content;
+        result.tailoredBy = provider.name;
+      }
+
+      const generated = await generateResume({
+        profile: item.profile,
+        jd,
+        company: itemCompany,
+        role: itemRole,
+        template: item.template || template,
+        format,
+        type: item.type,
+        sections: itemSections,
+        hiddenJobs: itemHiddenJobs,
+        theme: itemTheme,
+        maxPages: itemMaxPages,
+        trimBullets: itemTrimBullets,
+      });
+      const entry = recordGeneration({ profile: item.profile, company: itemCompany, role: itemRole, jd, sections: itemSections, hiddenJobs: itemHiddenJobs, theme: itemTheme, source: "batch", user: user?.username }, generated);
+
+      result.status = "ok";
+      result.filename = generated.filename;
+      result.template = generated.prepared.template.id;
+      if (generated.prepared.warnings.length > 0) result.warnings = generated.prepared.warnings;
+      if (generated.fit) result.fit = generated.fit;
+      if (entry) result.historyId = entry.id;
+      result.output = generated.output;
+    } catch (error) {
+      console.error(`Batch item ${index} (${item.profile}) failed:`, error.message);
+      // Same { code, message, details } shape as an API error response
+      result.error = {
+        code: error instanceof ApiError ? error.code : "RENDER_FAILED",
+        message: error.message,
+        ...(error.details?.length > 0 ? { details: error.details } : {}),
+      };
+    }
+
+    result.durationMs = Date.now() - started;
+    return result;
+  });
+
+  // Same candidate twice for one company/role would collide: Jane_Doe_Acme_Dev_2.pdf
+  const usedNames = new Set();
+  const files = [];
+  for (const result of results.filter(r => r.status === "ok")) {
+    let name = result.filename;
+    for (let n = 2; usedNames.has(name); n++) {
+      name = result.filename.replace(/(\.\w+)$/, `_${n}$1`);
+    }
+    usedNames.add(name);
+    result.filename = name;
+    files.push({ name, content: result.output });
+    delete result.output;
+  }
+
+  const succeeded = files.length;
+  return {
+    files,
+    manifest: {
+      createdAt: new Date().toISOString(),
+      company: company || null,
+      role: role || null,
+      format,
+      tailoredWith: provider?.name || null,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      items: results,
+    },
+  };
+};
+
+export const buildBatchZip = ({ files, manifest }) => {
+  const zip = new JSZip();
+  files.forEach(({ name, content }) => zip.file(name, content));
+  zip.file("manifest.json", JSON.stringify(manifest, null, 2) + "\n");
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+};
+
+export const buildBatchFilename = (company, role) =>
+  ["Batch", sanitizeFilename(company), sanitizeFilename(role)].filter(Boolean).join("_") + ".zip";
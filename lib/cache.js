@@ -0,0 +1,60 @@
+import fs from "fs";
+
+// Every cache registers itself so the admin reload endpoint can clear them all
+const caches = new Set();
+
+// Map-backed cache whose entries are only reused while their version (usually
+// a file's mtime) is unchanged. A null/undefined result from load() is not cached.
+export const createVersionedCache = (name) => {
+  const entries = new Map();
+
+  const cache = {
+    name,
+
+    get(key, version, load) {
+      const hit = entries.get(key);
+      if (hit && version !== undefined && hit.version === version) {
+        return hit.value;
+      }
+
+      const value = load();
+      if (value === null || value === undefined) {
+        entries.delete(key);
+      } else {
+        entries.set(key, { version, value });
+      }
+      return value;
+    },
+
+    delete(key) {
+      entries.delete(key);
+    },
+
+    clear() {
+      const cleared = entries.size;
+      entries.clear();
+      return cleared;
+    },
+  };
+
+  caches.add(cache);
+  return cache;
+};
+
+// Clear every registered cache -> [{ name, cleared }]
+export const clearCaches = () => [...caches].map(cache => ({
+  name: cache.name,
+  cleared: cache.clear(),
+}));
+
+// mtime + size, so two writes within the same millisecond still differ in most cases.
+// null when the path doesn't exist.
+export const fileVersion = (filePath) => {
+  try {
+    const stats = fs.statSync(filePath);
+    return `${stats.mtimeMs}:${stats.size}`;
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+};
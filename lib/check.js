@@ -0,0 +1,36 @@
+import { matchExperience, summariseMatch } from "./experience";
+import { parseInput } from "./lenientJson";
+import { validateCompletedResume, validateProfile } from "./validation";
+
+// Validate a profile and/or a completed resume JSON (jd) together, as
+// /api/validate and `resume-gen validate` report it:
+// -> { valid, profile?, resume?: { valid, errors, warnings, repairs }, experience? }
+// With both documents it also reports which entry each job was matched to.
+export const checkDocuments = ({ profileData, jd, hiddenJobs }) => {
+  const report = { valid: true };
+
+  if (profileData) {
+    report.profile = validateProfile(profileData);
+    report.valid = report.valid && report.profile.valid;
+  }
+
+  if (jd) {
+    let resumeContent;
+    let repairs;
+    try {
+      ({ value: resumeContent, repairs } = parseInput(jd));
+    } catch (parseError) {
+      report.resume = { valid: false, errors: [parseError.detail("document")], warnings: [], repairs: parseError.repairs };
+      report.valid = false;
+      return report;
+    }
+    report.resume = { ...validateCompletedResume(resumeContent, profileData, { hiddenJobs }), repairs };
+    report.valid = report.valid && report.resume.valid;
+
+    if (Array.isArray(profileData?.experience) && Array.isArray(resumeContent?.experience)) {
+      report.experience = summariseMatch(matchExperience(profileData.experience, resumeContent.experience, { hiddenJobs }));
+    }
+  }
+
+  return report;
+};
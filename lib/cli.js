@@ -0,0 +1,263 @@
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { checkDocuments } from "./check";
+import { ApiError } from "./errors";
+import { OUTPUT_FORMATS } from "./export";
+import { generateResume } from "./generate";
+import { parseInput } from "./lenientJson";
+import { getBrowserPool } from "./pdf";
+import { renderPreview } from "./preview";
+import { listProfiles, loadProfile } from "./profiles";
+
+// `resume-gen` (bin/resume-gen.mjs): the same profile loading, JSON parsing,
+// templates and renderers as the API, without the Next.js server. It reads
+// resumes/ and templates/ directly, so there is no sign-in; whoever can run
+// it can already read those files.
+
+const USAGE = `Usage: resume-gen <command> [options]
+
+Commands:
+  generate        Render a resume or cover letter to a file
+  list-profiles   List the profiles in resumes/
+  validate        Check a profile and/or completed resume JSON
+  preview         Write the HTML the PDF would be printed from
+
+generate options:
+  -p, --profile <id>       profile id (resumes/<id>.json)             required
+  -i, --input <file>       completed resume JSON, "-" for stdin        required
+  -c, --company <name>     company name                                required
+  -r, --role <name>        role name                                   required
+  -f, --format <format>    ${Object.keys(OUTPUT_FORMATS).join(", ")} (default pdf)
+  -t, --template <id>      template id (default: the type's default)
+      --type <type>        resume (default) or cover-letter
+  -o, --out <path>         output file or directory (default: current directory)
+      --max-pages <n>      fit the PDF onto at most n pages
+      --trim-bullets       with --max-pages, drop bullets from the oldest jobs if needed
+      --hide-job <job>     leave a job out (id, company or index); repeatable
+
+validate options:
+  -p, --profile <id>       stored profile to check
+      --profile-file <f>   profile JSON file to check instead
+  -i, --input <file>       completed resume JSON to check, "-" for stdin
+      --json               print the full report as JSON
+
+preview options:
+  -p, --profile, -i, --input, -t, --template, --type, -c, --company, -r, --role, --hide-job as for generate
+  -o, --out <file>         HTML file to write (default <profile>.preview.html)
+
+list-profiles options:
+      --json               print [{ id, name }] as JSON
+
+Exit codes: 0 success, 1 failed or invalid, 2 bad usage`;
+
+const COMMON_OPTIONS = {
+  profile: { type: "string", short: "p" },
+  input: { type: "string", short: "i" },
+  template: { type: "string", short: "t" },
+  type: { type: "string", default: "resume" },
+  company: { type: "string", short: "c" },
+  role: { type: "string", short: "r" },
+  out: { type: "string", short: "o" },
+  "hide-job": { type: "string", multiple: true },
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+const COMMAND_OPTIONS = {
+  generate: {
+    ...COMMON_OPTIONS,
+    format: { type: "string", short: "f", default: "pdf" },
+    "max-pages": { type: "string" },
+    "trim-bullets": { type: "boolean" },
+  },
+  "list-profiles": { json: COMMON_OPTIONS.json, help: COMMON_OPTIONS.help },
+  validate: { ...COMMON_OPTIONS, "profile-file": { type: "string" } },
+  preview: COMMON_OPTIONS,
+};
+
+class UsageError extends Error {}
+
+const requireOption = (values, name) => {
+  if (!values[name]) throw new UsageError(`--${name} is required`);
+  return values[name];
+};
+
+const write = (text) => process.stdout.write(`${text}\n`);
+
+// "-" reads stdin, anything else is a path relative to where the command was run
+const readInput = (file, cwd) => {
+  try {
+    return fs.readFileSync(file === "-" ? 0 : path.resolve(cwd, file), "utf-8");
+  } catch (readError) {
+    throw new UsageError(`Could not read ${file === "-" ? "stdin" : file}: ${readError.message}`);
+  }
+};
+
+// Hidden job ids that look like numbers are indexes, as in the API
+const hiddenJobs = (values) => values["hide-job"]?.map(job => (/^\d+$/.test(job) ? Number(job) : job));
+
+const printIssues = (label, issues, icon) => {
+  for (const { path: field, message } of issues || []) {
+    console.error(`${[icon, label, field].filter(Boolean).join(" ")}: ${message}`);
+  }
+};
+
+// An --out directory (existing, or written with a trailing slash) gets the default filename
+const outputPath = (out, filename, cwd) => {
+  if (!out) return path.resolve(cwd, filename);
+  const target = path.resolve(cwd, out);
+  const isDirectory = /[\\/]$/.test(out) || (fs.existsSync(target) && fs.statSync(target).isDirectory());
+  return isDirectory ? path.join(target, filename) : target;
+};
+
+const writeFile = (file, content) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+};
+
+const generate = async (values, cwd) => {
+  const maxPages = values["max-pages"] !== undefined ? Number(values["max-pages"]) : undefined;
+  if (maxPages !== undefined && !Number.isInteger(maxPages)) throw new UsageError("--max-pages must be a whole number");
+
+  const result = await generateResume({
+    profile: requireOption(values, "profile"),
+    jd: readInput(requireOption(values, "input"), cwd),
+    company: requireOption(values, "company"),
+    role: requireOption(values, "role"),
+    template: values.template,
+    format: values.format,
+    type: values.type,
+    hiddenJobs: hiddenJobs(values),
+    maxPages,
+    trimBullets: values["trim-bullets"],
+  });
+
+  printIssues("warning", result.prepared.warnings, "⚠️");
+
+  const file = outputPath(values.out, result.filename, cwd);
+  writeFile(file, result.output);
+  write(file);
+  return 0;
+};
+
+const listProfilesCommand = (values) => {
+  const profiles = listProfiles();
+  if (values.json) {
+    write(JSON.stringify(profiles, null, 2));
+  } else {
+    profiles.forEach(profile => write(profile.id));
+  }
+  return 0;
+};
+
+const validate = (values, cwd) => {
+  if (!values.profile && !values["profile-file"] && !values.input) {
+    throw new UsageError("Give --profile, --profile-file and/or --input to validate");
+  }
+
+  let profileData = null;
+  if (values["profile-file"]) {
+    try {
+      ({ value: profileData } = parseInput(readInput(values["profile-file"], cwd)));
+    } catch (parseError) {
+      if (typeof parseError.detail !== "function") throw parseError;
+      throw new ApiError("INVALID_PROFILE", `${values["profile-file"]} could not be parsed. ${parseError.message}`, [parseError.detail("profile")]);
+    }
+  } else if (values.profile) {
+    profileData = loadProfile(values.profile);
+    if (!profileData) throw new ApiError("PROFILE_NOT_FOUND", `Profile "${values.profile}" not found`);
+  }
+
+  const report = checkDocuments({
+    profileData,
+    jd: values.input ? readInput(values.input, cwd) : undefined,
+    hiddenJobs: hiddenJobs(values),
+  });
+
+  if (values.json) {
+    write(JSON.stringify(report, null, 2));
+    return report.valid ? 0 : 1;
+  }
+
+  if (report.profile) {
+    printIssues("profile", report.profile.errors, "❌");
+    printIssues("profile", report.profile.warnings, "⚠️");
+  }
+  if (report.resume) {
+    printIssues("resume", report.resume.errors, "❌");
+    printIssues("resume", report.resume.warnings, "⚠️");
+    (report.resume.repairs || []).forEach(repair => console.error(`🔧 resume JSON was repaired: ${repair}`));
+  }
+  write(report.valid ? "✅ Valid" : "❌ Invalid");
+  return report.valid ? 0 : 1;
+};
+
+const preview = (values, cwd) => {
+  const profile = requireOption(values, "profile");
+  const { html, warnings } = renderPreview({
+    profile,
+    jd: readInput(requireOption(values, "input"), cwd),
+    template: values.template,
+    company: values.company,
+    role: values.role,
+    type: values.type,
+    hiddenJobs: hiddenJobs(values),
+  });
+
+  printIssues("warning", warnings, "⚠️");
+  const file = outputPath(values.out, `${profile}.preview.html`, cwd);
+  writeFile(file, html);
+  write(file);
+  return 0;
+};
+
+const COMMANDS = {
+  generate,
+  "list-profiles": listProfilesCommand,
+  validate,
+  preview,
+};
+
+const printError = (error) => {
+  if (error instanceof UsageError) {
+    console.error(`${error.message}\n\nRun "resume-gen --help" for usage.`);
+    return 2;
+  }
+  if (error instanceof ApiError) {
+    console.error(`❌ ${error.message} [${error.code}]`);
+    printIssues("", error.details, "  -");
+    return 1;
+  }
+  console.error("❌", error.stack || error.message);
+  return 1;
+};
+
+// argv without "node resume-gen" -> exit code
+export const run = async (argv, { cwd = process.cwd() } = {}) => {
+  const [command, ...rest] = argv;
+  if (!command || command === "--help" || command === "-h" || command === "help") {
+    write(USAGE);
+    return command ? 0 : 2;
+  }
+  if (!Object.hasOwn(COMMANDS, command)) {
+    return printError(new UsageError(`Unknown command "${command}". Use one of: ${Object.keys(COMMANDS).join(", ")}`));
+  }
+
+  try {
+    const { values, positionals } = parseArgs({ args: rest, options: COMMAND_OPTIONS[command], allowPositionals: true, strict: true });
+    if (values.help) {
+      write(USAGE);
+      return 0;
+    }
+    if (positionals.length > 0) throw new UsageError(`Unexpected argument "${positionals[0]}"`);
+    return await COMMANDS[command](values, cwd);
+  } catch (error) {
+    // parseArgs reports unknown or malformed options with these codes
+    if (/^ERR_PARSE_ARGS_/.test(error.code)) return printError(new UsageError(error.message));
+    return printError(error);
+  } finally {
+    // A warm Chromium would keep the process alive
+    await getBrowserPool().close();
+  }
+};
@@ -0,0 +1,77 @@
+import { parseInput, repairWarnings } from "./lenientJson";
+import { ApiError, missingField } from "./errors";
+import { loadValidProfile, resolveTemplate } from "./resume";
+import { DOCUMENT_TYPES } from "./templates";
+import { applyTheme, resolveTheme } from "./theme";
+import { formatValidationErrors, validateCoverLetter, validateGenerationOptions } from "./validation";
+
+export const COVER_LETTER = "cover-letter";
+
+const formatDate = (date) => date.toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
+
+// Profile header (name, contacts) + letter body for the cover letter template
+export const buildCoverLetterData = (profileData, content, { company, role } = {}) => {
+  const recipient = content.recipient || {};
+
+  return {
+    name: profileData.name,
+    email: profileData.email,
+    phone: profileData.phone,
+    location: profileData.location,
+    linkedin: profileData.linkedin,
+    website: profileData.website,
+    date: content.date || formatDate(new Date()),
+    company,
+    role,
+    recipient: {
+      name: recipient.name,
+      title: recipient.title,
+      company: recipient.company || company,
+      address: recipient.address,
+    },
+    greeting: content.greeting,
+    paragraphs: content.paragraphs,
+    closing: content.closing,
+    signature: content.signature || profileData.name,
+  };
+};
+
+// Same contract as prepareResume, for cover letter JSON ({ greeting, paragraphs, closing })
+export const prepareCoverLetter = ({ profile, jd, template: templateId, company, role, theme }) => {
+  if (!profile) throw missingField("profile", "Profile required");
+  if (!jd) throw missingField("jd", "Cover letter JSON required");
+
+  const themeValidation = validateGenerationOptions({ theme });
+  if (!themeValidation.valid) {
+    throw new ApiError("INVALID_OPTIONS", "Invalid generation options", themeValidation.errors);
+  }
+
+  const baseTemplate = resolveTemplate(templateId || DOCUMENT_TYPES[COVER_LETTER].defaultTemplate, COVER_LETTER);
+  const profileData = loadValidProfile(profile);
+  // The profile's theme applies to its cover letters too
+  const template = applyTheme(baseTemplate, resolveTheme(profileData.theme, theme));
+
+  let parsed;
+  try {
+    parsed = parseInput(jd);
+  } catch (parseError) {
+    throw new ApiError("INVALID_COVER_LETTER_JSON", `Cover letter JSON could not be parsed. ${parseError.message}`, [parseError.detail("jd")]);
+  }
+  const { value: content, repairs } = parsed;
+
+  const validation = validateCoverLetter(content);
+  if (!validation.valid) {
+    console.error("Cover letter JSON failed validation:", formatValidationErrors(validation.errors));
+    throw new ApiError("INVALID_COVER_LETTER_JSON", "Cover letter JSON failed validation", validation.errors);
+  }
+
+  console.log(`✅ Cover letter JSON parsed successfully (${content.paragraphs.length} paragraphs)`);
+
+  return {
+    profileData,
+    content,
+    template,
+    templateData: buildCoverLetterData(profileData, content, { company, role }),
+    warnings: [...repairWarnings("jd", repairs), ...validation.warnings],
+  };
+};
@@ -0,0 +1,6 @@
+// Positive whole-number settings from the environment; anything else (unset,
+// zero, negative or not a number) falls back to the default
+export const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
@@ -0,0 +1,102 @@
+// Every API error is returned as { error: { code, message, details? } }.
+// Codes are stable so clients can branch on them; messages are for people and
+// may change. details is a list of { path, message } for field-level problems.
+// Kept free of server-only imports: pages use readApiError below.
+
+// Code -> HTTP status
+export const ERROR_CODES = {
+  INVALID_REQUEST: 400,
+  MISSING_FIELD: 400,
+  INVALID_OPTIONS: 400,
+  INVALID_RESUME_JSON: 400,
+  INVALID_COVER_LETTER_JSON: 400,
+  INVALID_PROFILE: 400,
+  UNSUPPORTED_FORMAT: 400,
+  UNSUPPORTED_TYPE: 400,
+  BATCH_TOO_LARGE: 400,
+  INVALID_UPLOAD: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  PROFILE_NOT_FOUND: 404,
+  TEMPLATE_NOT_FOUND: 404,
+  HISTORY_NOT_FOUND: 404,
+  USER_NOT_FOUND: 404,
+  JOB_NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  PROFILE_EXISTS: 409,
+  USER_EXISTS: 409,
+  JOB_NOT_READY: 409,
+  HISTORY_FILE_GONE: 410,
+  UNSUPPORTED_FILE: 415,
+  // The request was fine but the stored profile or the content can't be used
+  STORED_PROFILE_INVALID: 422,
+  PAGE_LIMIT_EXCEEDED: 422,
+  BATCH_FAILED: 422,
+  UNREADABLE_PDF: 422,
+  INTERNAL_ERROR: 500,
+  NOT_CONFIGURED: 500,
+  RENDER_FAILED: 500,
+  TAILOR_FAILED: 502,
+  SEND_FAILED: 502,
+  RENDER_BUSY: 503,
+};
+
+export class ApiError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = "ApiError";
+    this.code = code;
+    this.status = ERROR_CODES[code] || 500;
+    this.details = details;
+  }
+}
+
+// MISSING_FIELD for one required request field
+export const missingField = (path, message) => new ApiError("MISSING_FIELD", message, [{ path, message: "is required" }]);
+
+// `extra` adds top-level fields next to `error` (e.g. the batch manifest)
+export const sendError = (res, code, message, details, extra = {}) => {
+  // Busy renderers free up quickly, so tell clients when to try again
+  if (code === "RENDER_BUSY") res.setHeader("Retry-After", "5");
+  if (code === "JOB_NOT_READY") res.setHeader("Retry-After", "1");
+  return res.status(ERROR_CODES[code] || 500).json({
+    error: { code, message, ...(details?.length > 0 ? { details } : {}) },
+    ...extra,
+  });
+};
+
+export const sendApiError = (res, error) => sendError(res, error.code, error.message, error.details);
+
+export const methodNotAllowed = (res, allowed) => {
+  res.setHeader("Allow", allowed.join(", "));
+  return sendError(res, "METHOD_NOT_ALLOWED", `Method not allowed. Use ${allowed.join(" or ")}`);
+};
+
+// For catch blocks: ApiErrors keep their code, anything else is an unexpected
+// failure that is logged and reported as `code` ("<action> failed: ...").
+export const handleRouteError = (res, error, { action, code = "INTERNAL_ERROR" }) => {
+  if (error instanceof ApiError) return sendApiError(res, error);
+  console.error(`${action} error:`, error);
+  return sendError(res, code, `${action} failed: ${error.message}`);
+};
+
+// Client side: { code, message, details } from a failed fetch Response,
+// whether or not the server managed to send the JSON envelope
+export const readApiError = async (response, fallbackMessage) => {
+  const text = await response.text().catch(() => "");
+  try {
+    const { error } = JSON.parse(text);
+    if (error && typeof error === "object") {
+      return { code: error.code || null, message: error.message || fallbackMessage, details: error.details || [] };
+    }
+  } catch (parseError) {
+    // Not JSON - e.g. a proxy or platform error page
+  }
+  return { code: null, message: text.trim() || `${fallbackMessage} (HTTP ${response.status})`, details: [] };
+};
+
+// Client side: Error carrying the parsed envelope, for throwing out of fetch helpers
+export const apiErrorFrom = async (response, fallbackMessage) => {
+  const { code, message, details } = await readApiError(response, fallbackMessage);
+  return Object.assign(new Error(message), { code, details });
+};
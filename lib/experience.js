@@ -0,0 +1,120 @@
+// Pair the tailored experience entries with the profile's jobs. Entries are
+// matched by explicit id, then by company name (fuzzy), and only entries that
+// carry neither fall back to their position in the array.
+
+// Legal suffixes that shouldn't stop "Acme" from matching "Acme, Inc."
+const COMPANY_SUFFIXES = new Set(["inc", "llc", "ltd", "limited", "corp", "corporation", "co", "company", "gmbh", "plc", "pty", "sa", "ag", "bv"]);
+
+// Fuzzy matches below this are treated as different companies
+const MATCH_THRESHOLD = 0.75;
+
+export const normaliseCompany = (name) => String(name || "")
+  .toLowerCase()
+  .replace(/&/g, " and ")
+  .split(/[^a-z0-9]+/)
+  .filter(word => word && !COMPANY_SUFFIXES.has(word))
+  .join("");
+
+const bigrams = (text) => {
+  const counts = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const pair = text.slice(i, i + 2);
+    counts.set(pair, (counts.get(pair) || 0) + 1);
+  }
+  return counts;
+};
+
+// Dice coefficient over character bigrams
+const diceSimilarity = (a, b) => {
+  const left = bigrams(a);
+  const right = bigrams(b);
+  let overlap = 0;
+  for (const [pair, count] of left) {
+    overlap += Math.min(count, right.get(pair) || 0);
+  }
+  const total = a.length - 1 + b.length - 1;
+  return total > 0 ? (2 * overlap) / total : 0;
+};
+
+// 1 for the same company, 0.9 when one name contains the other
+// ("Rensselaer" / "EMPAC @ Rensselaer"), otherwise bigram similarity
+export const companySimilarity = (a, b) => {
+  const left = normaliseCompany(a);
+  const right = normaliseCompany(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  if (Math.min(left.length, right.length) >= 3 && (left.includes(right) || right.includes(left))) return 0.9;
+  return diceSimilarity(left, right);
+};
+
+// hiddenJobs entries are a job id, a company name or a 0-based index
+export const isHiddenJob = (job, index, hiddenJobs = []) => hiddenJobs.some(hidden => (
+  typeof hidden === "number"
+    ? hidden === index
+    : hidden === job.id || normaliseCompany(hidden) === normaliseCompany(job.company)
+));
+
+// -> { jobs: [{ job, index, hidden, entry, entryIndex, matchedBy }], unmatched: [{ entry, entryIndex }] }
+// matchedBy is "id", "company", "position" or null when no entry matched.
+export const matchExperience = (jobs = [], entries = [], { hiddenJobs = [] } = {}) => {
+  const slots = jobs.map((job, index) => ({
+    job,
+    index,
+    hidden: isHiddenJob(job, index, hiddenJobs),
+    entry: null,
+    entryIndex: null,
+    matchedBy: null,
+  }));
+  const free = () => slots.filter(slot => !slot.entry);
+  const claim = (slot, { entry, entryIndex }, matchedBy) => Object.assign(slot, { entry, entryIndex, matchedBy });
+
+  let pending = entries.map((entry, entryIndex) => ({ entry: entry || {}, entryIndex }));
+
+  pending = pending.filter(item => {
+    if (!item.entry.id) return true;
+    const slot = free().find(s => s.job.id && s.job.id === item.entry.id);
+    if (!slot) return true;
+    claim(slot, item, "id");
+    return false;
+  });
+
+  pending = pending.filter(item => {
+    if (!item.entry.company) return true;
+    const candidates = free()
+      .map(slot => ({ slot, score: companySimilarity(item.entry.company, slot.job.company) }))
+      .filter(candidate => candidate.score >= MATCH_THRESHOLD);
+    if (candidates.length === 0) return true;
+    const best = candidates.reduce((a, b) => (b.score > a.score ? b : a));
+    claim(best.slot, item, "company");
+    return false;
+  });
+
+  // Entries without id or company keep the old index pairing
+  pending = pending.filter(item => {
+    if (item.entry.id || item.entry.company) return true;
+    const slot = slots[item.entryIndex];
+    if (!slot || slot.entry) return true;
+    claim(slot, item, "position");
+    return false;
+  });
+
+  return { jobs: slots, unmatched: pending };
+};
+
+// JSON-friendly summary of a matchExperience result for API responses
+export const summariseMatch = ({ jobs, unmatched }) => ({
+  jobs: jobs.map(({ job, index, hidden, entryIndex, matchedBy }) => ({
+    index,
+    company: job.company,
+    ...(job.id ? { id: job.id } : {}),
+    hidden,
+    entryIndex,
+    matchedBy,
+    bullets: matchedBy ? "tailored" : job.details?.length ? "profile" : "none",
+  })),
+  unmatched: unmatched.map(({ entry, entryIndex }) => ({
+    entryIndex,
+    company: entry.company || null,
+    id: entry.id || null,
+  })),
+});
@@ -0,0 +1,186 @@
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  HeadingLevel,
+  Packer,
+  Paragraph,
+  TabStopType,
+  TextRun,
+} from "docx";
+import { sectionIds } from "../sections";
+
+// Page sizes and margins in twips (1/1440 inch)
+const PAGE_SIZES = {
+  a4: { width: 11906, height: 16838 },
+  letter: { width: 12240, height: 15840 },
+  legal: { width: 12240, height: 20160 },
+};
+const PAGE_MARGIN = 1008; // 0.7in, same as the template's print padding
+
+const FONT = "Cambria";
+
+// docx sizes are in half-points
+const pt = (points) => Math.round(points * 2);
+
+const sectionHeading = (text) => new Paragraph({
+  heading: HeadingLevel.HEADING_1,
+  spacing: { before: 240, after: 100 },
+  border: { bottom: { style: BorderStyle.SINGLE, size: 12, color: "000000", space: 2 } },
+  children: [new TextRun({ text: text.toUpperCase(), bold: true, size: pt(13), font: FONT, color: "000000" })],
+});
+
+// "Title ............ dates" with the dates pushed to the right margin
+const headerLine = (left, right, tabPosition, size) => new Paragraph({
+  tabStops: [{ type: TabStopType.RIGHT, position: tabPosition }],
+  spacing: { before: 160 },
+  children: [
+    new TextRun({ text: left || "", bold: true, size: pt(size) }),
+    ...(right ? [new TextRun({ text: `\t${right}`, size: pt(9.5) })] : []),
+  ],
+});
+
+const plainLine = (text, { italics = false, after = 40 } = {}) => new Paragraph({
+  spacing: { after },
+  children: [new TextRun({ text, italics, size: pt(10), color: italics ? "333333" : "000000" })],
+});
+
+const bullets = (details) => (details || []).map(detail => new Paragraph({
+  bullet: { level: 0 },
+  spacing: { after: 30 },
+  children: [new TextRun({ text: detail, size: pt(10) })],
+}));
+
+const dateRange = (start, end) => [start, end].filter(Boolean).join(" – ");
+
+const buildHeader = (data) => {
+  const contact = [data.phone, data.email, data.linkedin, data.website, data.location].filter(Boolean);
+
+  return [
+    new Paragraph({
+      heading: HeadingLevel.TITLE,
+      alignment: AlignmentType.CENTER,
+      spacing: { after: 40 },
+      children: [new TextRun({ text: data.name || "", bold: true, size: pt(26), font: FONT, color: "000000" })],
+    }),
+    ...(data.title ? [new Paragraph({
+      alignment: AlignmentType.CENTER,
+      spacing: { after: 60 },
+      children: [new TextRun({ text: data.title, size: pt(14), color: "333333" })],
+    })] : []),
+    new Paragraph({
+      alignment: AlignmentType.CENTER,
+      spacing: { after: 120 },
+      children: [new TextRun({ text: contact.join(" • "), size: pt(9.5) })],
+    }),
+  ];
+};
+
+const buildSkills = (skills) => Object.entries(skills || {}).map(([category, values]) => new Paragraph({
+  spacing: { after: 60 },
+  children: [
+    new TextRun({ text: `${category}: `, bold: true, size: pt(10) }),
+    new TextRun({ text: Array.isArray(values) ? values.join(", ") : "", size: pt(10) }),
+  ],
+}));
+
+const buildExperience = (experience, tabPosition) => experience.flatMap(job => [
+  headerLine(job.title, dateRange(job.start_date, job.end_date), tabPosition, 11),
+  new Paragraph({
+    spacing: { after: 40 },
+    children: [new TextRun({
+      text: `${job.company || ""}${job.location ? ` - ${job.location}` : ""}`,
+      italics: true,
+      size: pt(10),
+      color: "333333",
+    })],
+  }),
+  ...bullets(job.details),
+]);
+
+const buildEducation = (education, tabPosition) => education.flatMap(edu => [
+  headerLine(edu.degree, dateRange(edu.start_year, edu.end_year), tabPosition, 10.5),
+  new Paragraph({
+    spacing: { after: 60 },
+    children: [new TextRun({ text: edu.school || "", italics: true, size: pt(10), color: "333333" })],
+  }),
+]);
+
+const buildProjects = (projects, tabPosition) => projects.flatMap(project => [
+  headerLine([project.name, project.role].filter(Boolean).join(" — "), dateRange(project.start_date, project.end_date), tabPosition, 10.5),
+  ...(project.technologies?.length || project.url
+    ? [plainLine([project.technologies?.join(", "), project.url].filter(Boolean).join(" | "), { italics: true })]
+    : []),
+  ...(project.description ? [plainLine(project.description)] : []),
+  ...bullets(project.details),
+]);
+
+// Certifications, publications and awards: bold title with the date on the right
+const buildDatedItems = (items, tabPosition, describe) => items.flatMap(item => {
+  const { title, meta, text } = describe(item);
+  return [
+    headerLine(title, item.date, tabPosition, 10.5),
+    ...(meta ? [plainLine(meta, { italics: true })] : []),
+    ...(text ? [plainLine(text)] : []),
+  ];
+});
+
+const buildLanguages = (languages) => [plainLine(
+  languages.map(lang => `${lang.language}${lang.proficiency ? ` (${lang.proficiency})` : ""}`).join(" • "),
+  { after: 60 },
+)];
+
+// Build a Word document from the same templateData object the HTML templates use
+export const renderDocx = async (data, { pageSize = "A4" } = {}) => {
+  const page = PAGE_SIZES[String(pageSize).toLowerCase()] || PAGE_SIZES.a4;
+  const tabPosition = page.width - PAGE_MARGIN * 2;
+
+  const children = [...buildHeader(data)];
+
+  const sections = {
+    summary: () => [sectionHeading("Summary"), new Paragraph({
+      children: [new TextRun({ text: data.summary, size: pt(10) })],
+    })],
+    skills: () => [sectionHeading("Technical Skills"), ...buildSkills(data.skills)],
+    experience: () => [sectionHeading("Experience"), ...buildExperience(data.experience, tabPosition)],
+    projects: () => [sectionHeading("Projects"), ...buildProjects(data.projects, tabPosition)],
+    education: () => [sectionHeading("Education"), ...buildEducation(data.education, tabPosition)],
+    certifications: () => [sectionHeading("Certifications"), ...buildDatedItems(data.certifications, tabPosition, cert => ({
+      title: cert.name,
+      meta: [cert.issuer, cert.credential_id && `ID ${cert.credential_id}`].filter(Boolean).join(" · "),
+    }))],
+    publications: () => [sectionHeading("Publications"), ...buildDatedItems(data.publications, tabPosition, pub => ({
+      title: pub.title,
+      meta: [pub.publisher, pub.authors].filter(Boolean).join(" · "),
+    }))],
+    awards: () => [sectionHeading("Awards"), ...buildDatedItems(data.awards, tabPosition, award => ({
+      title: award.title,
+      meta: award.issuer,
+      text: award.description,
+    }))],
+    languages: () => [sectionHeading("Languages"), ...buildLanguages(data.languages)],
+  };
+
+  sectionIds(data).forEach(id => children.push(...sections[id]()));
+
+  const doc = new Document({
+    creator: data.name || "",
+    title: `${data.name || ""} — Resume`,
+    styles: {
+      default: {
+        document: { run: { font: FONT, size: pt(11) } },
+      },
+    },
+    sections: [{
+      properties: {
+        page: {
+          size: page,
+          margin: { top: PAGE_MARGIN, bottom: PAGE_MARGIN, left: PAGE_MARGIN, right: PAGE_MARGIN },
+        },
+      },
+      children,
+    }],
+  });
+
+  return Packer.toBuffer(doc);
+};
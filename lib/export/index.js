@@ -0,0 +1,37 @@
+import { renderPdf } from "../pdf";
+import { renderDocx } from "./docx";
+import { renderText, renderMarkdown } from "./text";
+
+// Output formats, all rendered from the same templateData
+export const OUTPUT_FORMATS = {
+  pdf: {
+    extension: "pdf",
+    contentType: "application/pdf",
+    render: async ({ templateData, template, timing = {} }) => {
+      // Render HTML
+      const html = template.render(templateData);
+      console.log(`HTML rendered from template "${template.id}"`);
+
+      const { pdf, timing: renderTiming } = await renderPdf(html, template);
+      Object.assign(timing, renderTiming);
+      return pdf;
+    }
+  },
+  docx: {
+    extension: "docx",
+    contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    render: ({ templateData, template }) => renderDocx(templateData, { pageSize: template.pageSize })
+  },
+  txt: {
+    extension: "txt",
+    contentType: "text/plain; charset=utf-8",
+    render: ({ templateData }) => renderText(templateData)
+  },
+  md: {
+    extension: "md",
+    contentType: "text/markdown; charset=utf-8",
+    render: ({ templateData }) => renderMarkdown(templateData)
+  }
+};
+
+export const getOutputFormat = (format) => (Object.hasOwn(OUTPUT_FORMATS, format) ? OUTPUT_FORMATS[format] : null);
@@ -0,0 +1,218 @@
+import { sectionIds } from "../sections";
+
+// Plain-text and Markdown resumes for "paste your resume" boxes on job portals.
+// Both are built from the same templateData object the HTML templates use.
+
+const DEFAULT_WIDTH = 80;
+
+// Greedy word wrap. Leading whitespace is kept on the first line and
+// `indent` prefixes continuation lines (hanging indent).
+export const wrapText = (text, width = DEFAULT_WIDTH, indent = "") => {
+  const source = String(text || "");
+  const leading = source.match(/^\s*/)[0];
+  const words = source.split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = "";
+
+  const prefix = () => (lines.length === 0 ? leading : indent);
+
+  for (const word of words) {
+    if (line && (prefix() + line + " " + word).length > width) {
+      lines.push(prefix() + line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(prefix() + line);
+
+  return lines.join("\n");
+};
+
+// Join items with a separator, only breaking lines between items. The
+// separator stays at the end of a broken line so the list still reads as one.
+const wrapParts = (parts, separator, width = DEFAULT_WIDTH) => {
+  const lines = [];
+  let line = "";
+
+  for (const part of parts) {
+    if (line && (line + separator + part).length > width) {
+      lines.push(line + separator.trimEnd());
+      line = part;
+    } else {
+      line = line ? line + separator + part : part;
+    }
+  }
+  if (line) lines.push(line);
+
+  return lines.join("\n");
+};
+
+const dateRange = (start, end, separator) => [start, end].filter(Boolean).join(separator);
+
+const contactParts = (data) => [data.phone, data.email, data.linkedin, data.website, data.location].filter(Boolean);
+
+// Same output as the templates' {{join this ", "}} helper
+const joinSkills = (values) => (Array.isArray(values) ? values.join(", ") : "");
+
+const joinParts = (parts, separator) => parts.filter(Boolean).join(separator);
+
+// ", issuer, date" after a bold name, or nothing
+const trailingParts = (parts) => {
+  const text = joinParts(parts, ", ");
+  return text ? `, ${text}` : "";
+};
+
+export const renderText = (data, { width = DEFAULT_WIDTH } = {}) => {
+  const out = [];
+  const heading = (title) => out.push("", title.toUpperCase(), "-".repeat(title.length));
+
+  out.push((data.name || "").toUpperCase());
+  if (data.title) out.push(data.title);
+  out.push(wrapParts(contactParts(data), " | ", width));
+
+  const sections = {
+    summary: () => {
+      heading("Summary");
+      out.push(wrapText(data.summary, width));
+    },
+    skills: () => {
+      heading("Skills");
+      Object.entries(data.skills).forEach(([category, values]) => out.push(wrapText(`${category}: ${joinSkills(values)}`, width, "  ")));
+    },
+    experience: () => {
+      heading("Experience");
+      data.experience.forEach((job, idx) => {
+        if (idx > 0) out.push("");
+        out.push(job.title || "");
+        out.push([
+          `${job.company || ""}${job.location ? ` - ${job.location}` : ""}`,
+          dateRange(job.start_date, job.end_date, " - "),
+        ].filter(Boolean).join(" | "));
+        (job.details || []).forEach(detail => out.push(wrapText(`  - ${detail}`, width, "    ")));
+      });
+    },
+    projects: () => {
+      heading("Projects");
+      data.projects.forEach((project, idx) => {
+        if (idx > 0) out.push("");
+        out.push(joinParts([project.name, project.role], " - "));
+        const meta = joinParts([dateRange(project.start_date, project.end_date, " - "), joinSkills(project.technologies), project.url], " | ");
+        if (meta) out.push(wrapText(meta, width));
+        if (project.description) out.push(wrapText(project.description, width));
+        (project.details || []).forEach(detail => out.push(wrapText(`  - ${detail}`, width, "    ")));
+      });
+    },
+    education: () => {
+      heading("Education");
+      data.education.forEach(edu => {
+        out.push(edu.degree || "");
+        out.push([edu.school, dateRange(edu.start_year, edu.end_year, " - ")].filter(Boolean).join(" | "));
+      });
+    },
+    certifications: () => {
+      heading("Certifications");
+      data.certifications.forEach(cert => out.push(wrapText(`- ${joinParts([cert.name, cert.issuer, cert.date], " | ")}`, width, "  ")));
+    },
+    publications: () => {
+      heading("Publications");
+      data.publications.forEach(pub => out.push(wrapText(`- ${joinParts([pub.title, pub.publisher, pub.date], " | ")}`, width, "  ")));
+    },
+    awards: () => {
+      heading("Awards");
+      data.awards.forEach(award => {
+        out.push(wrapText(`- ${joinParts([award.title, award.issuer, award.date], " | ")}`, width, "  "));
+        if (award.description) out.push(wrapText(`  ${award.description}`, width, "  "));
+      });
+    },
+    languages: () => {
+      heading("Languages");
+      out.push(wrapParts(data.languages.map(lang => joinParts([lang.language, lang.proficiency && `(${lang.proficiency})`], " ")), ", ", width));
+    },
+  };
+
+  sectionIds(data).forEach(id => sections[id]());
+
+  return out.join("\n").trim() + "\n";
+};
+
+export const renderMarkdown = (data, { width = DEFAULT_WIDTH } = {}) => {
+  const out = [];
+  const heading = (title) => out.push("", `## ${title}`, "");
+
+  out.push(`# ${data.name || ""}`, "");
+  if (data.title) out.push(`**${data.title}**`, "");
+  out.push(wrapParts(contactParts(data), " · ", width));
+
+  const sections = {
+    summary: () => {
+      heading("Summary");
+      out.push(wrapText(data.summary, width));
+    },
+    skills: () => {
+      heading("Skills");
+      Object.entries(data.skills).forEach(([category, values]) => out.push(wrapText(`- **${category}:** ${joinSkills(values)}`, width, "  ")));
+    },
+    experience: () => {
+      heading("Experience");
+      data.experience.forEach((job, idx) => {
+        if (idx > 0) out.push("");
+        out.push(`### ${job.title || ""}`, "");
+        const place = joinParts([job.company, job.location], " — ");
+        const meta = joinParts([place && `*${place}*`, dateRange(job.start_date, job.end_date, " – ")], " | ");
+        if (meta) out.push(meta);
+        if (job.details?.length) {
+          out.push("");
+          job.details.forEach(detail => out.push(wrapText(`- ${detail}`, width, "  ")));
+        }
+      });
+    },
+    projects: () => {
+      heading("Projects");
+      data.projects.forEach((project, idx) => {
+        if (idx > 0) out.push("");
+        out.push(`### ${project.url ? `[${project.name}](${project.url})` : project.name}`, "");
+        const meta = joinParts([project.role, dateRange(project.start_date, project.end_date, " – "), joinSkills(project.technologies)], " | ");
+        if (meta) out.push(`*${meta}*`);
+        if (project.description) out.push("", wrapText(project.description, width));
+        if (project.details?.length) {
+          out.push("");
+          project.details.forEach(detail => out.push(wrapText(`- ${detail}`, width, "  ")));
+        }
+      });
+    },
+    education: () => {
+      heading("Education");
+      data.education.forEach(edu => {
+        const years = dateRange(edu.start_year, edu.end_year, " – ");
+        out.push(wrapText(`- **${edu.degree || ""}**, ${edu.school || ""}${years ? ` (${years})` : ""}`, width, "  "));
+      });
+    },
+    certifications: () => {
+      heading("Certifications");
+      data.certifications.forEach(cert => out.push(wrapText(`- **${cert.name}**${trailingParts([cert.issuer, cert.date])}`, width, "  ")));
+    },
+    publications: () => {
+      heading("Publications");
+      data.publications.forEach(pub => {
+        const title = pub.url ? `[${pub.title}](${pub.url})` : pub.title;
+        out.push(wrapText(`- **${title}**${trailingParts([pub.publisher, pub.date])}`, width, "  "));
+      });
+    },
+    awards: () => {
+      heading("Awards");
+      data.awards.forEach(award => {
+        const description = award.description ? ` — ${award.description}` : "";
+        out.push(wrapText(`- **${award.title}**${trailingParts([award.issuer, award.date])}${description}`, width, "  "));
+      });
+    },
+    languages: () => {
+      heading("Languages");
+      data.languages.forEach(lang => out.push(`- ${lang.language}${lang.proficiency ? ` (${lang.proficiency})` : ""}`));
+    },
+  };
+
+  sectionIds(data).forEach(id => sections[id]());
+
+  return out.join("\n").trim() + "\n";
+};
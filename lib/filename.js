@@ -0,0 +1,6 @@
+// Shared by the API routes and the browser so downloads are named identically
+export const sanitizeFilename = (str) => String(str || "").replace(/[^a-z0-9]/gi, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
+
+// Name_Company_Role.ext, or Name_Company_Role_Suffix.ext (e.g. "CoverLetter")
+export const buildFilename = (name, company, role, extension, suffix) =>
+  `${sanitizeFilename(name)}_${sanitizeFilename(company)}_${sanitizeFilename(role)}${suffix ? `_${sanitizeFilename(suffix)}` : ""}.${extension}`;
@@ -0,0 +1,171 @@
+// Fit a PDF onto a target page count. The document is rendered, its pages
+// counted, and the layout tightened one step at a time (margins, line height,
+// scale) within the configured bounds. If it still overflows and trimBullets
+// is on, bullets are dropped from the oldest jobs first.
+
+// Import the library entry directly - see pages/api/parse-resume.js
+import pdfParse from "pdf-parse/lib/pdf-parse.js";
+import { renderPdf } from "./pdf";
+import { ApiError } from "./errors";
+import { injectStyle } from "./theme";
+
+// Line height used once spacing is tightened. Every template sets 1.25 or more
+// on body text; headings keep their own.
+const FIT_LINE_HEIGHT = 1.2;
+const SCALE_STEP = 0.05;
+// Tightened margins are this fraction of the template's
+const MARGIN_FACTOR = 0.6;
+// Upper bound on renders for one document, trimming included
+const MAX_FIT_RENDERS = 30;
+
+const envNumber = (name, fallback, min, max) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= min && value <= max ? value : fallback;
+};
+
+// How far the layout may be tightened
+export const getFitBounds = () => ({
+  minScale: envNumber("FIT_MIN_SCALE", 0.8, 0.5, 1),
+  minMarginMm: envNumber("FIT_MIN_MARGIN_MM", 8, 0, 50),
+  minBullets: Math.round(envNumber("FIT_MIN_BULLETS", 2, 0, 20)),
+});
+
+const UNIT_MM = { mm: 1, cm: 10, in: 25.4, pt: 25.4 / 72, px: 25.4 / 96 };
+
+// "15mm" / "0.5in" / "12" (px, as Puppeteer reads it) -> millimetres, or null
+const toMm = (length) => {
+  const match = String(length).trim().match(/^(\d*\.?\d+)\s*(mm|cm|in|pt|px)?$/i);
+  return match ? parseFloat(match[1]) * UNIT_MM[(match[2] || "px").toLowerCase()] : null;
+};
+
+const roundMm = (mm) => `${Math.round(mm * 10) / 10}mm`;
+
+const tightenMargin = (margin, minMarginMm) => {
+  const tightened = { ...margin };
+  for (const side of ["top", "right", "bottom", "left"]) {
+    const mm = toMm(margin[side]);
+    if (mm !== null && mm > minMarginMm) {
+      tightened[side] = roundMm(Math.max(minMarginMm, mm * MARGIN_FACTOR));
+    }
+  }
+  return tightened;
+};
+
+const formatMargin = ({ top, right, bottom, left }) => `${top} ${right} ${bottom} ${left}`;
+
+// Layout steps from the template as designed to the tightest allowed
+const buildSteps = (template, { minScale, minMarginMm }) => {
+  const steps = [{ margin: template.margin, lineHeight: null, scale: 1 }];
+  const last = () => steps[steps.length - 1];
+
+  const margin = tightenMargin(template.margin, minMarginMm);
+  if (formatMargin(margin) !== formatMargin(template.margin)) {
+    steps.push({ ...last(), margin });
+  }
+  steps.push({ ...last(), lineHeight: FIT_LINE_HEIGHT });
+  for (let scale = 1 - SCALE_STEP; scale >= minScale - 1e-9; scale -= SCALE_STEP) {
+    steps.push({ ...last(), scale: Math.round(scale * 100) / 100 });
+  }
+  return steps;
+};
+
+const addLineHeight = (html, lineHeight) => {
+  if (!lineHeight) return html;
+  return injectStyle(html, `body, body :not(h1, h2, h3) { line-height: ${lineHeight} !important; }`);
+};
+
+// Drop the last bullet of the oldest job that still has more than minBullets.
+// Returns the job's index, or -1 when nothing is left to trim.
+const trimOldestBullet = (experience, minBullets) => {
+  for (let i = experience.length - 1; i >= 0; i--) {
+    if (experience[i].details.length > minBullets) {
+      experience[i].details = experience[i].details.slice(0, -1);
+      return i;
+    }
+  }
+  return -1;
+};
+
+const describeChanges = (template, step, trimmed) => {
+  const changes = [];
+  if (step.margin !== template.margin) {
+    changes.push(`Page margins reduced from ${formatMargin(template.margin)} to ${formatMargin(step.margin)}`);
+  }
+  if (step.lineHeight) changes.push(`Line height tightened to ${step.lineHeight}`);
+  if (step.scale < 1) changes.push(`Content scaled to ${Math.round(step.scale * 100)}%`);
+  trimmed.forEach(({ company, removed }) => {
+    changes.push(`Removed ${removed} bullet${removed === 1 ? "" : "s"} from ${company}`);
+  });
+  return changes;
+};
+
+// -> { pdf, report } where report is { maxPages, pages, originalPages, renders,
+// scale, lineHeight, margin, trimmedBullets, changes }. Throws
+// PAGE_LIMIT_EXCEEDED when the document can't fit within the bounds.
+export const fitToPages = async ({ templateData, template, maxPages, trimBullets = false, timing = {} }) => {
+  const bounds = getFitBounds();
+  const steps = buildSteps(template, bounds);
+  const started = Date.now();
+  let renders = 0;
+  let originalPages = null;
+
+  const attempt = async (data, step) => {
+    const html = addLineHeight(template.render(data), step.lineHeight);
+    const { pdf, timing: renderTiming } = await renderPdf(html, template, { scale: step.scale, margin: step.margin });
+    const { numpages } = await pdfParse(pdf, { max: 1 });
+    renders++;
+    if (originalPages === null) originalPages = numpages;
+    Object.assign(timing, renderTiming, { totalMs: Date.now() - started });
+    return { pdf, pages: numpages };
+  };
+
+  const fitted = (result, step, trimmed) => {
+    const report = {
+      maxPages,
+      pages: result.pages,
+      originalPages,
+      renders,
+      scale: step.scale,
+      lineHeight: step.lineHeight,
+      margin: step.margin,
+      trimmedBullets: trimmed,
+      changes: describeChanges(template, step, trimmed),
+    };
+    console.log(`📐 Fitted to ${result.pages}/${maxPages} page(s) after ${renders} render(s)`, report.changes);
+    return { pdf: result.pdf, report };
+  };
+
+  let result;
+  for (const step of steps) {
+    result = await attempt(templateData, step);
+    if (result.pages <= maxPages) return fitted(result, step, []);
+  }
+
+  // Still too long at the tightest layout: trim bullets, oldest jobs first
+  const tightest = steps[steps.length - 1];
+  const experience = Array.isArray(templateData.experience) ? templateData.experience : [];
+  let trimmedCount = 0;
+  if (trimBullets && experience.length > 0) {
+    const data = { ...templateData, experience: experience.map(job => ({ ...job, details: [...(job.details || [])] })) };
+    const removed = new Map();
+
+    while (renders < MAX_FIT_RENDERS) {
+      const index = trimOldestBullet(data.experience, bounds.minBullets);
+      if (index === -1) break;
+      removed.set(index, (removed.get(index) || 0) + 1);
+      trimmedCount++;
+
+      result = await attempt(data, tightest);
+      if (result.pages <= maxPages) {
+        const trimmed = [...removed].sort(([a], [b]) => a - b).map(([i, count]) => ({ company: data.experience[i].company, removed: count }));
+        return fitted(result, tightest, trimmed);
+      }
+    }
+  }
+
+  const tried = [`content scaled to ${Math.round(tightest.scale * 100)}%`, `margins ${formatMargin(tightest.margin)}`];
+  if (trimBullets) tried.push(`${trimmedCount} bullet${trimmedCount === 1 ? "" : "s"} trimmed from the oldest jobs`);
+  throw new ApiError("PAGE_LIMIT_EXCEEDED", `Could not fit the document on ${maxPages} page${maxPages === 1 ? "" : "s"}: it still needs ${result.pages}`, [
+    { path: "maxPages", message: `still ${result.pages} pages with ${tried.join(", ")}. ${trimBullets ? "Hide sections or jobs" : "Enable trimBullets, or hide sections or jobs"} to shorten it` },
+  ]);
+};
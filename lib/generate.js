@@ -0,0 +1,113 @@
+import { buildFilename } from "./filename";
+import { getOutputFormat, OUTPUT_FORMATS } from "./export";
+import { COVER_LETTER, prepareCoverLetter } from "./coverLetter";
+import { fitToPages } from "./fit";
+import { ApiError, missingField } from "./errors";
+import { prepareResume } from "./resume";
+import { validateGenerationOptions } from "./validation";
+
+// How each document type is prepared, which formats it can be exported to
+// and the suffix added to its filename
+export const DOCUMENTS = {
+  resume: { prepare: prepareResume, formats: Object.keys(OUTPUT_FORMATS), suffix: "" },
+  [COVER_LETTER]: { prepare: prepareCoverLetter, formats: ["pdf"], suffix: "CoverLetter" },
+};
+
+export const getDocument = (type = "resume") => {
+  if (!Object.hasOwn(DOCUMENTS, type)) {
+    throw new ApiError("UNSUPPORTED_TYPE", `Unsupported document type "${type}". Use one of: ${Object.keys(DOCUMENTS).join(", ")}`, [
+      { path: "type", message: `must be one of: ${Object.keys(DOCUMENTS).join(", ")}` },
+    ]);
+  }
+  return DOCUMENTS[type];
+};
+
+// Checks the options and prepares the template data without rendering, so
+// render jobs can reject bad input before they are queued. Throws ApiErrors.
+export const prepareGeneration = ({ profile, jd, company, role, template, format = "pdf", type = "resume", sections, hiddenJobs, theme, maxPages, trimBullets }) => {
+  if (!company) throw missingField("company", "Company name required");
+  if (!role) throw missingField("role", "Role name required");
+
+  const documentType = getDocument(type);
+  const outputFormat = getOutputFormat(format);
+  if (!outputFormat || !documentType.formats.includes(format)) {
+    throw new ApiError("UNSUPPORTED_FORMAT", `Unsupported format "${format}". Use one of: ${documentType.formats.join(", ")}`, [
+      { path: "format", message: `must be one of: ${documentType.formats.join(", ")}` },
+    ]);
+  }
+
+  const fitValidation = validateGenerationOptions({ maxPages, trimBullets });
+  if (!fitValidation.valid) {
+    throw new ApiError("INVALID_OPTIONS", "Invalid generation options", fitValidation.errors);
+  }
+  if (maxPages && format !== "pdf") {
+    throw new ApiError("INVALID_OPTIONS", `maxPages is only supported for PDF output, not "${format}"`, [
+      { path: "maxPages", message: "requires format pdf" },
+    ]);
+  }
+
+  const prepared = documentType.prepare({ profile, jd, template, company, role, sections, hiddenJobs, theme });
+  return { prepared, documentType, outputFormat, company, role, format, type, maxPages, trimBullets };
+};
+
+// prepareGeneration() result -> rendered file
+export const renderGeneration = async ({ prepared, documentType, outputFormat, company, role, format, type, maxPages, trimBullets }) => {
+  const timing = {};
+  let output;
+  let fit = null;
+  if (maxPages) {
+    const fitted = await fitToPages({ templateData: prepared.templateData, template: prepared.template, maxPages, trimBullets, timing });
+    output = fitted.pdf;
+    fit = { ...fitted.report, trimBullets: Boolean(trimBullets) };
+  } else {
+    output = await outputFormat.render({ templateData: prepared.templateData, template: prepared.template, timing });
+  }
+
+  return {
+    output,
+    format,
+    type,
+    extension: outputFormat.extension,
+    contentType: outputFormat.contentType,
+    // Generate filename from profile name, company and role
+    filename: buildFilename(prepared.profileData.name, company, role, outputFormat.extension, documentType.suffix),
+    timing,
+    fit,
+    prepared,
+  };
+};
+
+// Profile + completed resume (or cover letter) JSON -> rendered file. Shared by
+// /api/generate, /api/batch, /api/send, render jobs and history re-renders so
+// all of them name and render files the same way. With maxPages the PDF is
+// fitted onto that many pages and `fit` reports what had to change.
+export const generateResume = async (options) => renderGeneration(prepareGeneration(options));
+
+// Browser pool timings -> "queue;dur=0, launch;dur=812, ..." for the browser's network panel
+const TIMING_METRICS = ["queue", "launch", "content", "pdf", "total"];
+
+const serverTiming = (timing) => TIMING_METRICS
+  .map(name => `${name};dur=${timing[`${name}Ms`] || 0}`)
+  .join(", ");
+
+export const formatTiming = (timing) => {
+  if (timing.totalMs === undefined) return "";
+  return `(${timing.totalMs}ms, ${timing.warm ? "warm" : `cold start ${timing.launchMs}ms`}, queued ${timing.queueMs}ms)`;
+};
+
+// Reply with a generated file and the headers the UI reads (history id, fit
+// report). Used by /api/generate and render job results.
+export const sendGenerated = (res, { output, filename, contentType, timing, fit }, historyId) => {
+  if (timing.totalMs !== undefined) {
+    res.setHeader("Server-Timing", serverTiming(timing));
+  }
+  if (historyId) {
+    res.setHeader("X-History-Id", historyId);
+  }
+  if (fit) {
+    res.setHeader("X-Fit-Report", encodeURIComponent(JSON.stringify(fit)));
+  }
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.end(output);
+};
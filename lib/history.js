@@ -0,0 +1,96 @@
+import crypto from "crypto";
+import { createVersionedCache } from "./cache";
+import { getHistoryStore } from "./storage";
+
+const DEFAULT_PAGE_SIZE = 50;
+const ID_REGEX = /^[a-z0-9]+-[a-f0-9]{6}$/;
+
+// Time-sortable id, e.g. "mgw3k1z2-4f9a1c"
+const createId = () => `${Date.now().toString(36)}-${crypto.randomBytes(3).toString("hex")}`;
+
+export const isValidHistoryId = (id) => typeof id === "string" && ID_REGEX.test(id);
+
+const historyListCache = createVersionedCache("history");
+
+const loadEntries = () => {
+  const store = getHistoryStore();
+  return historyListCache.get("all", store.listVersion(), () =>
+    store.list().sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+  );
+};
+
+// Listing rows leave out the (large) completed resume JSON
+const summarize = ({ jd, ...entry }) => entry;
+
+// Store a generated file with everything needed to render it again.
+// History must never break generation, so failures are only logged.
+export const recordGeneration = ({ profile, company, role, jd, sections, hiddenJobs, theme, source = "generate", rerenderOf, user }, result) => {
+  const entry = {
+    id: createId(),
+    createdAt: new Date().toISOString(),
+    source,
+    type: result.type,
+    profile,
+    name: result.prepared.profileData.name,
+    company,
+    role,
+    template: result.prepared.template.id,
+    format: result.format,
+    extension: result.extension,
+    filename: result.filename,
+    size: Buffer.byteLength(result.output),
+    jd: typeof jd === "string" ? jd : JSON.stringify(jd),
+    ...(sections ? { sections } : {}),
+    ...(hiddenJobs ? { hiddenJobs } : {}),
+    ...(theme ? { theme } : {}),
+    ...(result.fit ? { fit: result.fit } : {}),
+    ...(rerenderOf ? { rerenderOf } : {}),
+    ...(user ? { user } : {}),
+  };
+
+  try {
+    getHistoryStore().save(entry, Buffer.from(result.output));
+    historyListCache.clear();
+    return entry;
+  } catch (error) {
+    console.warn(`⚠️ Could not record history entry for ${entry.filename}:`, error.message);
+    return null;
+  }
+};
+
+// Newest first. `q` matches candidate, profile, company, role and filename;
+// profile / company / role / user filters are exact (case-insensitive).
+// `visible(entry)` limits the list to what the caller may see.
+export const listHistory = ({ q, profile, company, role, user, limit = DEFAULT_PAGE_SIZE, offset = 0, visible = () => true } = {}) => {
+  const needle = String(q || "").trim().toLowerCase();
+  const same = (a, b) => String(a || "").toLowerCase() === String(b).toLowerCase();
+
+  const matches = loadEntries().filter(entry =>
+    visible(entry) &&
+    (!needle || [entry.name, entry.profile, entry.company, entry.role, entry.filename]
+      .some(value => String(value || "").toLowerCase().includes(needle))) &&
+    (!profile || same(entry.profile, profile)) &&
+    (!company || same(entry.company, company)) &&
+    (!role || same(entry.role, role)) &&
+    (!user || same(entry.user, user))
+  );
+
+  const start = Math.max(0, Number(offset) || 0);
+  const count = Math.max(1, Number(limit) || DEFAULT_PAGE_SIZE);
+
+  return {
+    total: matches.length,
+    items: matches.slice(start, start + count).map(summarize),
+  };
+};
+
+export const getHistoryEntry = (id) => (isValidHistoryId(id) ? getHistoryStore().get(id) : null);
+
+export const getHistoryArtifact = (entry) => getHistoryStore().getArtifact(entry);
+
+export const deleteHistoryEntry = (id) => {
+  if (!isValidHistoryId(id)) return false;
+  const removed = getHistoryStore().remove(id);
+  historyListCache.clear();
+  return removed;
+};
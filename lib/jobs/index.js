@@ -0,0 +1,93 @@
+import { isAdmin, requireProfileAccess } from "../auth";
+import { envInt } from "../env";
+import { ApiError } from "../errors";
+import { formatTiming, prepareGeneration, renderGeneration } from "../generate";
+import { recordGeneration } from "../history";
+import { createJobQueue } from "./queue";
+
+// Keep the queue on globalThis so dev-server hot reloads don't lose jobs
+export const getJobQueue = () => {
+  if (!globalThis.__resumeJobQueue) {
+    globalThis.__resumeJobQueue = createJobQueue({
+      concurrency: envInt("JOB_CONCURRENCY", 2),
+      maxQueued: envInt("JOB_MAX_QUEUED", 50),
+      ttlMs: envInt("JOB_TTL_MS", 15 * 60 * 1000),
+    });
+  }
+  return globalThis.__resumeJobQueue;
+};
+
+// Jobs keep rendering after the submit request has been answered, which
+// serverless functions don't allow, so they are off on Vercel unless
+// RENDER_JOBS=true. RENDER_JOBS=false turns them off anywhere.
+export const isJobsEnabled = () => (process.env.RENDER_JOBS ? process.env.RENDER_JOBS === "true" : !process.env.VERCEL);
+
+// Same body as /api/generate -> queued job. Missing fields, bad JSON and bad
+// options throw here, before anything is queued; the render itself and the
+// history entry happen in the job.
+export const submitRenderJob = (body, { user }) => {
+  if (!isJobsEnabled()) {
+    throw new ApiError("NOT_CONFIGURED", "Render jobs are turned off on this server, use /api/generate");
+  }
+
+  const { profile, jd, company, role, template, format = "pdf", type = "resume", sections, hiddenJobs, theme, maxPages, trimBullets } = body || {};
+  requireProfileAccess(user, profile);
+  const generation = prepareGeneration({ profile, jd, company, role, template, format, type, sections, hiddenJobs, theme, maxPages, trimBullets });
+
+  return getJobQueue().submit(async (job) => {
+    const result = await renderGeneration(generation);
+    console.log(`${result.extension.toUpperCase()} generated by job ${job.id}`, formatTiming(result.timing));
+
+    const entry = recordGeneration({ profile, company, role, jd, sections, hiddenJobs, theme, user: user.username }, result);
+    // Drop the prepared template data; only the file is kept until the job expires
+    const { output, filename, contentType, timing, fit } = result;
+    return { output, filename, contentType, timing, fit, historyId: entry?.id };
+  }, { owner: user.username, profile, company, role, format, type });
+};
+
+// Other users' jobs look exactly like missing ones; admins see every job
+export const getRenderJob = (id, user) => {
+  const job = typeof id === "string" ? getJobQueue().get(id) : null;
+  return job && (isAdmin(user) || job.owner === user?.username) ? job : null;
+};
+
+const isoTime = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+// Job -> status reply: where it is, how long each stage took, and once
+// finished either the file details or the error
+export const describeJob = (job) => {
+  const now = Date.now();
+  const description = {
+    id: job.id,
+    status: job.status,
+    type: job.type,
+    format: job.format,
+    profile: job.profile,
+    company: job.company,
+    role: job.role,
+    createdAt: isoTime(job.createdAt),
+    startedAt: isoTime(job.startedAt),
+    finishedAt: isoTime(job.finishedAt),
+    expiresAt: isoTime(job.expiresAt),
+    timing: {
+      queuedMs: (job.startedAt || now) - job.createdAt,
+      renderMs: job.startedAt ? (job.finishedAt || now) - job.startedAt : 0,
+    },
+  };
+
+  if (job.status === "queued") {
+    description.position = getJobQueue().position(job);
+  }
+  if (job.status === "done") {
+    description.filename = job.result.filename;
+    description.historyId = job.result.historyId || null;
+    description.fit = job.result.fit;
+    // Browser pool breakdown (launch, content, pdf) for PDFs
+    description.timing.render = job.result.timing;
+    description.resultUrl = `/api/jobs/${job.id}/result`;
+  }
+  if (job.status === "failed") {
+    description.error = job.error;
+  }
+  return description;
+};
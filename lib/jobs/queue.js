@@ -0,0 +1,101 @@
+// In-process queue for renders that clients poll instead of holding a request
+// open. Jobs start in submission order with at most `concurrency` running;
+// once finished, a job and its result are kept for `ttlMs` and then dropped.
+// Everything lives in this process's memory, so submitting and polling must
+// reach the same long-running server.
+
+import crypto from "crypto";
+import { ApiError } from "../errors";
+
+export const createJobQueue = ({
+  concurrency = 2,
+  maxQueued = 50,
+  ttlMs = 15 * 60 * 1000,
+}) => {
+  const jobs = new Map();
+  const waiting = [];
+  let running = 0;
+
+  const stats = {
+    submitted: 0,
+    completed: 0,
+    failed: 0,
+    expired: 0,
+    rejected: 0,
+  };
+
+  const scheduleExpiry = (job) => {
+    job.expiresAt = Date.now() + ttlMs;
+    const timer = setTimeout(() => {
+      if (jobs.delete(job.id)) stats.expired++;
+    }, ttlMs);
+    timer.unref?.();
+  };
+
+  const runJob = async (job) => {
+    running++;
+    job.status = "rendering";
+    job.startedAt = Date.now();
+
+    try {
+      job.result = await job.work(job);
+      job.status = "done";
+      stats.completed++;
+    } catch (error) {
+      job.status = "failed";
+      stats.failed++;
+      // Same split as handleRouteError: ApiErrors keep their code, anything else is logged
+      if (error instanceof ApiError) {
+        job.error = { code: error.code, message: error.message, details: error.details };
+      } else {
+        console.error(`Render job ${job.id} error:`, error);
+        job.error = { code: "RENDER_FAILED", message: `Render failed: ${error.message}` };
+      }
+    } finally {
+      job.finishedAt = Date.now();
+      job.work = null;
+      running--;
+      scheduleExpiry(job);
+      startWaiting();
+    }
+  };
+
+  const startWaiting = () => {
+    while (running < concurrency && waiting.length > 0) {
+      runJob(waiting.shift());
+    }
+  };
+
+  // Queue work(job) -> result. `fields` (owner, profile, ...) are kept on the
+  // job for status replies. Throws RENDER_BUSY when the queue is full.
+  const submit = (work, fields = {}) => {
+    if (waiting.length >= maxQueued) {
+      stats.rejected++;
+      throw new ApiError("RENDER_BUSY", `${waiting.length} render jobs are already waiting, try again shortly`);
+    }
+
+    const job = { ...fields, id: crypto.randomUUID(), status: "queued", createdAt: Date.now(), work };
+    jobs.set(job.id, job);
+    waiting.push(job);
+    stats.submitted++;
+    startWaiting();
+    return job;
+  };
+
+  const get = (id) => jobs.get(id) || null;
+
+  // How many queued jobs will start before this one (-1 once it has started)
+  const position = (job) => waiting.indexOf(job);
+
+  const getStats = () => ({
+    ...stats,
+    queued: waiting.length,
+    running,
+    stored: jobs.size,
+    concurrency,
+    maxQueued,
+    ttlMs,
+  });
+
+  return { submit, get, position, getStats };
+};
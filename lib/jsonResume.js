@@ -0,0 +1,283 @@
+// Two-way conversion between our profile JSON (resumes/*.json) and the
+// JSON Resume standard (https://jsonresume.org/schema). JSON Resume fields we
+// have no place for (basics.label, volunteer, interests, ...) are kept under
+// the profile's `json_resume` key and merged back on export, and our own
+// layout settings travel in the document's `meta`, so a round trip through
+// either format loses nothing.
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// Current jobs have no endDate in JSON Resume
+const CURRENT_REGEX = /^(present|current|now|ongoing)$/i;
+
+// Profile fields that live in meta so they survive other tools
+const LAYOUT_FIELDS = ["section_order", "hidden_sections", "theme"];
+
+// JSON Resume sections and basics fields we convert; everything else is kept aside
+const CONVERTED_SECTIONS = ["basics", "work", "education", "skills", "projects", "certificates", "publications", "awards", "languages", "meta"];
+const CONVERTED_BASICS = ["name", "email", "phone", "url", "location", "profiles"];
+
+const LINKEDIN = "linkedin";
+
+// Drop empty values so exported documents only carry what the profile has
+const compact = (obj) => Object.fromEntries(
+  Object.entries(obj).filter(([, value]) => value !== undefined && value !== null && value !== "" && !(Array.isArray(value) && value.length === 0))
+);
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// "Sep 2021" / "09/2021" / "2021" -> "2021-09" / "2021"; "Present" -> undefined.
+// Anything else is passed through as written.
+export const toIsoDate = (value) => {
+  const text = String(value ?? "").trim();
+  if (!text || CURRENT_REGEX.test(text)) return undefined;
+  if (/^\d{4}(-\d{2}){0,2}$/.test(text)) return text;
+
+  const monthYear = text.match(/^([A-Za-z]{3,})\.?\s+(\d{4})$/);
+  if (monthYear) {
+    const month = MONTHS.findIndex(m => monthYear[1].toLowerCase().startsWith(m.toLowerCase()));
+    if (month !== -1) return `${monthYear[2]}-${String(month + 1).padStart(2, "0")}`;
+  }
+  const numeric = text.match(/^(\d{1,2})\/(\d{4})$/);
+  if (numeric && numeric[1] >= 1 && numeric[1] <= 12) return `${numeric[2]}-${numeric[1].padStart(2, "0")}`;
+  return text;
+};
+
+// "2021-09" / "2021-09-15" -> "Sep 2021", "2021" -> "2021"
+export const fromIsoDate = (value) => {
+  const text = String(value ?? "").trim();
+  const match = text.match(/^(\d{4})-(\d{2})(?:-\d{2})?$/);
+  if (match && match[2] >= 1 && match[2] <= 12) return `${MONTHS[match[2] - 1]} ${match[1]}`;
+  return text;
+};
+
+// ISO date plus, when "July 2025" would come back as "Jul 2025", the text as
+// written under `<key>Text` so our own round trips keep the profile's wording
+const dateFields = (key, value) => {
+  const iso = toIsoDate(value);
+  const text = String(value ?? "").trim();
+  return { [key]: iso, [`${key}Text`]: iso && fromIsoDate(iso) !== text ? text : undefined };
+};
+
+// Prefer the text kept by dateFields, as long as it still describes the same date
+const dateText = (item, key) => {
+  const text = item[`${key}Text`];
+  if (text && toIsoDate(text) === item[key]) return text;
+  return item[key] && fromIsoDate(item[key]);
+};
+
+const yearOf = (value) => String(value ?? "").match(/^\d{4}/)?.[0] ?? (value ? String(value) : undefined);
+
+// "Bachelor of Science in Computer Science" <-> studyType + area
+const splitDegree = (degree) => {
+  const match = String(degree || "").match(/^(.+?)\s+in\s+(.+)$/);
+  return match ? { studyType: match[1], area: match[2] } : { studyType: degree };
+};
+
+const joinDegree = ({ studyType, area }) => [studyType, area].filter(Boolean).join(" in ") || area || "";
+
+// "Taguig City, Metro Manila, Philippines" <-> { city, region }
+const splitLocation = (location) => {
+  const [city, ...rest] = String(location || "").split(",").map(part => part.trim()).filter(Boolean);
+  return city ? compact({ city, region: rest.join(", ") }) : undefined;
+};
+
+const joinLocation = (location) => {
+  if (typeof location === "string") return location;
+  if (!isObject(location)) return "";
+  return [location.city, location.region, location.countryCode].filter(Boolean).join(", ") || location.address || "";
+};
+
+const linkedinUsername = (url) => String(url || "").match(/linkedin\.com\/in\/([^/?#]+)/i)?.[1];
+
+// Our profile -> JSON Resume document
+export const toJsonResume = (profile) => {
+  const extras = isObject(profile.json_resume) ? profile.json_resume : {};
+  const { basics: extraBasics = {}, profiles: extraProfiles = [], meta: extraMeta = {}, ...extraSections } = extras;
+
+  const socialProfiles = [
+    ...(profile.linkedin ? [compact({ network: "LinkedIn", username: linkedinUsername(profile.linkedin), url: profile.linkedin })] : []),
+    ...extraProfiles,
+  ];
+
+  const layout = Object.fromEntries(LAYOUT_FIELDS.filter(key => profile[key] !== undefined).map(key => [key, profile[key]]));
+
+  return compact({
+    $schema: "https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json",
+    basics: compact({
+      name: profile.name,
+      email: profile.email,
+      phone: profile.phone,
+      url: profile.website,
+      location: splitLocation(profile.location),
+      profiles: socialProfiles,
+      ...extraBasics,
+    }),
+    work: (profile.experience || []).map(job => compact({
+      // JSON Resume allows extra properties; the id keeps tailored JSON matching after a round trip
+      id: job.id,
+      name: job.company,
+      position: job.title,
+      location: job.location,
+      ...dateFields("startDate", job.start_date),
+      ...dateFields("endDate", job.end_date),
+      highlights: job.details,
+    })),
+    education: (profile.education || []).map(edu => compact({
+      institution: edu.school,
+      ...splitDegree(edu.degree),
+      startDate: yearOf(edu.start_year),
+      endDate: yearOf(edu.end_year),
+    })),
+    skills: Object.entries(profile.skills || {}).map(([name, keywords]) => ({ name, keywords })),
+    projects: (profile.projects || []).map(project => compact({
+      name: project.name,
+      roles: project.role ? [project.role] : undefined,
+      url: project.url,
+      ...dateFields("startDate", project.start_date),
+      ...dateFields("endDate", project.end_date),
+      description: project.description,
+      highlights: project.details,
+      keywords: project.technologies,
+    })),
+    certificates: (profile.certifications || []).map(cert => compact({
+      name: cert.name,
+      issuer: cert.issuer,
+      ...dateFields("date", cert.date),
+      url: cert.url,
+      credentialId: cert.credential_id,
+    })),
+    publications: (profile.publications || []).map(publication => compact({
+      name: publication.title,
+      publisher: publication.publisher,
+      ...dateFields("releaseDate", publication.date),
+      url: publication.url,
+      authors: publication.authors,
+    })),
+    awards: (profile.awards || []).map(award => compact({
+      title: award.title,
+      awarder: award.issuer,
+      ...dateFields("date", award.date),
+      summary: award.description,
+    })),
+    languages: (profile.languages || []).map(language => compact({
+      language: language.language,
+      fluency: language.proficiency,
+    })),
+    ...extraSections,
+    meta: compact({
+      ...extraMeta,
+      ...(Object.keys(layout).length > 0 ? { resumeGenerator: layout } : {}),
+    }),
+  });
+};
+
+const list = (value) => (Array.isArray(value) ? value.filter(isObject) : []);
+
+const strings = (value) => (Array.isArray(value) ? value.map(item => String(item).trim()).filter(Boolean) : undefined);
+
+// JSON Resume document -> { profile, warnings: [{ path, message }] }. The
+// profile still needs validating: JSON Resume makes every field optional.
+export const fromJsonResume = (resume) => {
+  const warnings = [];
+  const basics = isObject(resume.basics) ? resume.basics : {};
+  const socialProfiles = list(basics.profiles);
+  const linkedin = socialProfiles.find(p => String(p.network || "").toLowerCase() === LINKEDIN || /linkedin\.com/i.test(p.url || ""));
+
+  const work = list(resume.work);
+  // Older JSON Resume versions called the company "company"
+  const experience = work.map((job, index) => {
+    if (!job.startDate) warnings.push({ path: `work[${index}].startDate`, message: "is missing; add a start date before saving" });
+    return compact({
+      id: job.id,
+      company: job.name || job.company,
+      title: job.position,
+      location: job.location,
+      start_date: dateText(job, "startDate"),
+      end_date: job.endDate ? dateText(job, "endDate") : "Present",
+      details: strings(job.highlights),
+    });
+  });
+
+  const skills = Object.fromEntries(list(resume.skills)
+    .map(skill => [skill.name || "Skills", strings(skill.keywords) || []])
+    .filter(([, keywords]) => keywords.length > 0));
+
+  const meta = isObject(resume.meta) ? resume.meta : {};
+  const { resumeGenerator: layout = {}, ...otherMeta } = meta;
+
+  // Keep what we can't convert so exporting again restores it
+  const extraBasics = Object.fromEntries(Object.entries(basics).filter(([key]) => !CONVERTED_BASICS.includes(key)));
+  const extraSections = Object.fromEntries(Object.entries(resume).filter(([key]) => !CONVERTED_SECTIONS.includes(key) && key !== "$schema"));
+  const extras = compact({
+    basics: Object.keys(extraBasics).length > 0 ? extraBasics : undefined,
+    profiles: socialProfiles.filter(p => p !== linkedin),
+    meta: Object.keys(otherMeta).length > 0 ? otherMeta : undefined,
+    ...extraSections,
+  });
+  const kept = [...Object.keys(extraBasics).map(key => `basics.${key}`), ...Object.keys(extraSections)];
+  if (kept.length > 0) {
+    warnings.push({ path: "json_resume", message: `keeps ${kept.join(", ")} for export; they are not shown on generated resumes` });
+  }
+
+  const profile = compact({
+    name: basics.name,
+    email: basics.email,
+    phone: basics.phone,
+    location: joinLocation(basics.location),
+    linkedin: linkedin?.url || (linkedin?.username ? `https://www.linkedin.com/in/${linkedin.username}` : undefined),
+    website: basics.url || basics.website,
+    experience,
+    education: list(resume.education).map(edu => compact({
+      degree: joinDegree(edu),
+      school: edu.institution,
+      start_year: yearOf(edu.startDate),
+      end_year: yearOf(edu.endDate),
+    })),
+    skills: Object.keys(skills).length > 0 ? skills : undefined,
+    projects: list(resume.projects).map(project => compact({
+      name: project.name,
+      role: strings(project.roles)?.join(", "),
+      url: project.url,
+      start_date: dateText(project, "startDate"),
+      end_date: dateText(project, "endDate"),
+      description: project.description,
+      details: strings(project.highlights),
+      technologies: strings(project.keywords),
+    })),
+    certifications: list(resume.certificates).map(cert => compact({
+      name: cert.name,
+      issuer: cert.issuer,
+      date: dateText(cert, "date"),
+      credential_id: cert.credentialId,
+      url: cert.url,
+    })),
+    publications: list(resume.publications).map(publication => compact({
+      title: publication.name,
+      publisher: publication.publisher,
+      date: dateText(publication, "releaseDate"),
+      authors: publication.authors,
+      url: publication.url,
+    })),
+    awards: list(resume.awards).map(award => compact({
+      title: award.title,
+      issuer: award.awarder,
+      date: dateText(award, "date"),
+      description: award.summary,
+    })),
+    languages: list(resume.languages).map(language => compact({
+      language: language.language,
+      proficiency: language.fluency,
+    })),
+    ...Object.fromEntries(LAYOUT_FIELDS.filter(key => layout[key] !== undefined).map(key => [key, layout[key]])),
+    json_resume: Object.keys(extras).length > 0 ? extras : undefined,
+  });
+
+  // Profiles always have these lists, even when empty
+  profile.experience = profile.experience || [];
+  profile.education = profile.education || [];
+  return { profile, warnings };
+};
+
+// Tell a JSON Resume document apart from our own profile format
+export const isJsonResume = (value) => isObject(value) && (isObject(value.basics) || Array.isArray(value.work)) && !Array.isArray(value.experience);
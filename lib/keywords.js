@@ -0,0 +1,166 @@
+// Known technologies grouped the way resume skills sections are usually laid out.
+// Each entry is the display name; aliases are matched case-insensitively.
+export const SKILL_CATEGORIES = {
+  "Languages": [
+    "JavaScript", "TypeScript", "Python", "Java", "C#", "C++", "Go", "Rust", "Ruby", "PHP",
+    "Kotlin", "Swift", "Scala", "SQL", "HTML", "CSS", "Sass", "Bash", "Dart", "Elixir",
+  ],
+  "Frontend": [
+    "React", "Next.js", "Vue", "Nuxt", "Angular", "Svelte", "Redux", "React Native", "Flutter",
+    "Tailwind CSS", "Material UI", "Webpack", "Vite", "jQuery", "D3.js", "Storybook", "Accessibility",
+  ],
+  "Backend": [
+    "Node.js", "Express", "NestJS", "Django", "Flask", "FastAPI", "Spring Boot", "Rails", "Laravel",
+    ".NET", "GraphQL", "REST", "gRPC", "Microservices", "Kafka", "RabbitMQ", "WebSockets",
+  ],
+  "Databases": [
+    "PostgreSQL", "MySQL", "MongoDB", "Redis", "DynamoDB", "Elasticsearch", "SQLite", "Oracle",
+    "SQL Server", "Cassandra", "Snowflake", "Firebase",
+  ],
+  "Cloud & DevOps": [
+    "AWS", "Azure", "GCP", "Docker", "Kubernetes", "Terraform", "CI/CD", "GitHub Actions", "Jenkins",
+    "Serverless", "Lambda", "Vercel", "Linux", "Nginx", "Ansible",
+  ],
+  "Testing": [
+    "Jest", "Cypress", "Playwright", "Mocha", "Vitest", "Selenium", "PyTest", "JUnit",
+    "React Testing Library", "TDD", "Unit Testing",
+  ],
+  "AI & Data": [
+    "OpenAI", "LLM", "Machine Learning", "TensorFlow", "PyTorch", "Pandas", "Spark", "Airflow", "ETL",
+  ],
+  "Practices & Tools": [
+    "Git", "Agile", "Scrum", "Jira", "Figma", "System Design", "Code Review", "Observability",
+    "Performance Optimization", "Security",
+  ],
+};
+
+const ALIASES = {
+  "JavaScript": ["javascript", "js", "es6", "ecmascript"],
+  "TypeScript": ["typescript", "ts"],
+  "Next.js": ["next.js", "nextjs"],
+  "Vue": ["vue", "vue.js", "vuejs"],
+  "Nuxt": ["nuxt", "nuxt.js"],
+  "Angular": ["angular", "angularjs"],
+  "Node.js": ["node.js", "nodejs", "node"],
+  "Express": ["express.js", "expressjs"],
+  "NestJS": ["nestjs", "nest.js"],
+  "D3.js": ["d3.js", "d3"],
+  "Tailwind CSS": ["tailwind", "tailwind css", "tailwindcss"],
+  "Material UI": ["material ui", "material-ui", "mui"],
+  "PostgreSQL": ["postgresql", "postgres"],
+  "MongoDB": ["mongodb", "mongo"],
+  "GCP": ["gcp", "google cloud"],
+  "AWS": ["aws", "amazon web services"],
+  "Kubernetes": ["kubernetes", "k8s"],
+  "CI/CD": ["ci/cd", "continuous integration", "continuous delivery", "continuous deployment"],
+  "REST": ["restful", "rest api", "rest apis"],
+  ".NET": [".net", "dotnet", "asp.net"],
+  "C#": ["c#", "csharp"],
+  "Go": ["golang"],
+  "Machine Learning": ["machine learning", "ml"],
+  "LLM": ["llm", "llms", "large language models"],
+  "React Testing Library": ["react testing library", "testing library"],
+  "TDD": ["tdd", "test-driven development"],
+  "Unit Testing": ["unit testing", "unit tests"],
+  "Accessibility": ["accessibility", "a11y", "wcag"],
+  "Performance Optimization": ["performance optimization", "web performance", "performance tuning"],
+  "System Design": ["system design", "distributed systems"],
+  "Code Review": ["code review", "code reviews"],
+};
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Precompile one matcher per skill. Word boundaries are emulated so that
+// names containing symbols (C#, .NET, CI/CD) still match.
+const MATCHERS = Object.entries(SKILL_CATEGORIES).flatMap(([category, skills]) =>
+  skills.map(skill => {
+    const aliases = ALIASES[skill] || [skill.toLowerCase()];
+    const pattern = aliases.map(escapeRegex).join("|");
+    return {
+      skill,
+      category,
+      regex: new RegExp(`(?:^|[^a-z0-9+#.])(?:${pattern})(?=$|[^a-z0-9+#]|\\.(?:\\s|$))`, "gi"),
+    };
+  })
+);
+
+// Find known skills in free text, most frequently mentioned first
+export const extractKeywords = (text) => {
+  const source = String(text || "");
+  const found = [];
+
+  MATCHERS.forEach(({ skill, category, regex }, order) => {
+    const count = (source.match(regex) || []).length;
+    if (count > 0) found.push({ skill, category, count, order });
+  });
+
+  return found
+    .sort((a, b) => b.count - a.count || a.order - b.order)
+    .map(({ skill, category, count }) => ({ skill, category, count }));
+};
+
+// Group extracted keywords into a { category: [skills] } object
+export const groupByCategory = (keywords) => {
+  const grouped = {};
+  for (const { skill, category } of keywords) {
+    if (!grouped[category]) grouped[category] = [];
+    if (!grouped[category].includes(skill)) grouped[category].push(skill);
+  }
+  return grouped;
+};
+
+const MATCHERS_BY_SKILL = new Map(MATCHERS.map(matcher => [matcher.skill, matcher.regex]));
+
+// Whether text mentions a known skill (or one of its aliases)
+export const mentionsSkill = (text, skill) => {
+  const regex = MATCHERS_BY_SKILL.get(skill);
+  if (!regex) return mentionsTerm(text, skill);
+  regex.lastIndex = 0;
+  return regex.test(String(text || ""));
+};
+
+const STOPWORDS = new Set([
+  "about", "above", "across", "after", "also", "among", "and", "any", "are", "based", "been", "being",
+  "both", "but", "can", "could", "day", "days", "each", "etc", "every", "for", "from", "have", "help",
+  "into", "its", "join", "just", "like", "looking", "made", "make", "many", "more", "most", "must",
+  "need", "new", "not", "our", "over", "own", "part", "plus", "role", "should", "some", "such", "team",
+  "teams", "than", "that", "the", "their", "them", "then", "there", "these", "they", "this", "those",
+  "through", "time", "using", "very", "want", "well", "were", "what", "when", "where", "which", "while",
+  "who", "will", "with", "within", "work", "working", "would", "year", "years", "you", "your", "able",
+  "ability", "strong", "excellent", "great", "good", "including", "other", "company", "candidate",
+  "candidates", "opportunity", "position", "responsibilities", "requirements", "qualifications",
+  "preferred", "required", "benefits", "salary", "equal", "employer", "apply", "please", "experience",
+]);
+
+// Light stemming so "scaling"/"scalable"/"scale" count as one term
+const stem = (word) => word.replace(/(?:ing|ed|es|s|able|ment)$/, "");
+
+// Non-skill words the job description repeats (domain terms like "payments",
+// "scalable", "mentoring"), most frequent first
+export const extractTerms = (text, { limit = 15, minCount = 2 } = {}) => {
+  const counts = new Map();
+
+  for (const word of String(text || "").toLowerCase().match(/[a-z][a-z-]{3,}/g) || []) {
+    if (STOPWORDS.has(word)) continue;
+    const key = stem(word);
+    if (key.length < 4) continue;
+    const entry = counts.get(key) || { term: word, count: 0 };
+    entry.count += 1;
+    // Prefer the shortest surface form as the display term
+    if (word.length < entry.term.length) entry.term = word;
+    counts.set(key, entry);
+  }
+
+  const skillWords = new Set(extractKeywords(text).flatMap(k => k.skill.toLowerCase().split(/\s+/)));
+
+  return [...counts.values()]
+    .filter(({ term, count }) => count >= minCount && !skillWords.has(term))
+    .sort((a, b) => b.count - a.count || a.term.localeCompare(b.term))
+    .slice(0, limit);
+};
+
+// Whether text mentions a generic term (any inflection sharing its stem)
+export const mentionsTerm = (text, term) => {
+  const root = escapeRegex(stem(String(term).toLowerCase()));
+  return new RegExp(`\\b${root}[a-z]*\\b`, "i").test(String(text || ""));
+};
@@ -0,0 +1,282 @@
+// Tolerant parser for JSON pasted by hand or returned by an LLM. The input is
+// repaired in one string-aware pass (code fences, surrounding prose, comments,
+// trailing commas, smart and single quotes, raw line breaks in strings,
+// truncated output) and then parsed with jsonc-parser. Every repair is
+// reported; anything still broken is reported at its line and column in the
+// text the user pasted.
+// Kept free of server-only imports.
+
+import { parse, printParseErrorCode } from "jsonc-parser";
+
+// Prose with braces ("{name}") before the real document is skipped, up to this many
+const MAX_CANDIDATES = 20;
+
+const PARSE_ERROR_MESSAGES = {
+  InvalidSymbol: "unexpected character",
+  InvalidNumberFormat: "invalid number",
+  PropertyNameExpected: "expected a property name in double quotes",
+  ValueExpected: "expected a value",
+  ColonExpected: "expected ':' after the property name",
+  CommaExpected: "expected ',' between items",
+  CloseBraceExpected: "expected '}'",
+  CloseBracketExpected: "expected ']'",
+  EndOfFileExpected: "unexpected content after the end of the JSON",
+  InvalidCommentToken: "invalid comment",
+  UnexpectedEndOfComment: "unterminated comment",
+  UnexpectedEndOfString: "unterminated string",
+  UnexpectedEndOfNumber: "unexpected end of number",
+  InvalidUnicode: "invalid \\u escape",
+  InvalidEscapeCharacter: "invalid escape character",
+  InvalidCharacter: "invalid character in string",
+};
+
+// Opening quote -> characters that close it
+const STRING_CLOSERS = {
+  "\"": ["\""],
+  "'": ["'"],
+  "‘": ["’", "'"],
+  "“": ["”", "“", "\""],
+  "„": ["“", "”", "\""],
+};
+const SMART_DOUBLE_QUOTES = ["“", "„"];
+const SINGLE_QUOTES = ["'", "‘"];
+const CLOSING_BRACKETS = { "{": "}", "[": "]" };
+
+export class JsonSyntaxError extends Error {
+  constructor(reason, { line, column, offset, repairs = [] }) {
+    super(`Invalid JSON at line ${line}, column ${column}: ${reason}`);
+    this.name = "JsonSyntaxError";
+    this.reason = reason;
+    this.line = line;
+    this.column = column;
+    this.offset = offset;
+    this.repairs = repairs;
+  }
+
+  // { path, message, line, column } for API error details
+  detail(path) {
+    return { path, message: `line ${this.line}, column ${this.column}: ${this.reason}`, line: this.line, column: this.column };
+  }
+}
+
+const positionOf = (text, offset) => {
+  const before = text.slice(0, offset);
+  const line = before.split("\n").length;
+  return { line, column: offset - before.lastIndexOf("\n"), offset };
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+// Copy text from `start` into repaired JSON until the first top-level value
+// closes (or the text ends). -> { json, sourceOffsets, end, counts }, where
+// sourceOffsets[i] is the offset in `text` that json[i] came from.
+const repairFrom = (text, start) => {
+  const json = [];
+  const sourceOffsets = [];
+  const counts = { comments: 0, trailingCommas: 0, smartQuotes: 0, singleQuotes: 0, lineBreaks: 0, unclosedStrings: 0, unclosedBrackets: 0, danglingKeys: 0 };
+  const stack = [];
+  let closers = null;
+  let i = start;
+
+  const emit = (chars, at) => {
+    for (const ch of chars) {
+      json.push(ch);
+      sourceOffsets.push(at);
+    }
+  };
+  const lastSignificant = () => {
+    for (let k = json.length - 1; k >= 0; k--) {
+      if (!/\s/.test(json[k])) return k;
+    }
+    return -1;
+  };
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+
+    if (closers) {
+      if (ch === "\\") {
+        const next = text[i + 1];
+        if (next === undefined) continue;
+        // \' is only an escape in single-quoted strings
+        emit(next === "'" ? "'" : `\\${next}`, i);
+        i++;
+      } else if (closers.includes(ch)) {
+        emit("\"", i);
+        closers = null;
+      } else if (ch === "\"") {
+        emit("\\\"", i);
+      } else if (ch === "\n") {
+        emit("\\n", i);
+        counts.lineBreaks++;
+      } else if (ch === "\r") {
+        if (text[i + 1] !== "\n") {
+          emit("\\n", i);
+          counts.lineBreaks++;
+        }
+      } else if (ch === "\t") {
+        emit("\\t", i);
+      } else if (ch < " ") {
+        emit(`\\u${ch.charCodeAt(0).toString(16).padStart(4, "0")}`, i);
+      } else {
+        emit(ch, i);
+      }
+      continue;
+    }
+
+    if (ch === "/" && text[i + 1] === "/") {
+      const end = text.indexOf("\n", i);
+      i = (end === -1 ? text.length : end) - 1;
+      counts.comments++;
+    } else if (ch === "/" && text[i + 1] === "*") {
+      const end = text.indexOf("*/", i + 2);
+      i = end === -1 ? text.length : end + 1;
+      counts.comments++;
+    } else if (Object.hasOwn(STRING_CLOSERS, ch)) {
+      if (SMART_DOUBLE_QUOTES.includes(ch)) counts.smartQuotes++;
+      if (SINGLE_QUOTES.includes(ch)) counts.singleQuotes++;
+      closers = STRING_CLOSERS[ch];
+      emit("\"", i);
+    } else if (ch === "{" || ch === "[") {
+      stack.push(ch);
+      emit(ch, i);
+    } else if (ch === "}" || ch === "]") {
+      const last = lastSignificant();
+      if (last !== -1 && json[last] === ",") {
+        json.splice(last, 1);
+        sourceOffsets.splice(last, 1);
+        counts.trailingCommas++;
+      }
+      if (CLOSING_BRACKETS[stack[stack.length - 1]] === ch) stack.pop();
+      emit(ch, i);
+      if (stack.length === 0) break;
+    } else {
+      emit(ch, i);
+    }
+  }
+
+  // Truncated output: finish the open string, drop a dangling comma or key
+  // and close whatever is still open
+  if (i >= text.length) {
+    if (closers) {
+      emit("\"", text.length);
+      counts.unclosedStrings++;
+    }
+    if (stack.length > 0) {
+      const last = lastSignificant();
+      if (json[last] === ",") {
+        json.splice(last);
+        sourceOffsets.splice(last);
+      } else if (json[last] === ":") {
+        emit("null", text.length);
+        counts.danglingKeys++;
+      }
+      while (stack.length > 0) {
+        emit(CLOSING_BRACKETS[stack.pop()], text.length);
+        counts.unclosedBrackets++;
+      }
+    }
+  }
+
+  return { json: json.join(""), sourceOffsets, end: Math.min(i + 1, text.length), counts };
+};
+
+const describeRepairs = (counts) => {
+  const repairs = [];
+  if (counts.comments) repairs.push(`removed ${plural(counts.comments, "comment")}`);
+  if (counts.trailingCommas) repairs.push(`removed ${plural(counts.trailingCommas, "trailing comma")}`);
+  if (counts.smartQuotes) repairs.push(`replaced smart quotes in ${plural(counts.smartQuotes, "string")}`);
+  if (counts.singleQuotes) repairs.push(`converted ${plural(counts.singleQuotes, "single-quoted string")} to double quotes`);
+  if (counts.lineBreaks) repairs.push(`escaped ${plural(counts.lineBreaks, "line break")} inside strings`);
+  if (counts.unclosedStrings || counts.unclosedBrackets) {
+    const closed = [];
+    if (counts.unclosedStrings) closed.push(plural(counts.unclosedStrings, "string"));
+    if (counts.unclosedBrackets) closed.push(plural(counts.unclosedBrackets, "bracket"));
+    repairs.push(`closed ${closed.join(" and ")} left open by truncated input`);
+  }
+  if (counts.danglingKeys) repairs.push("set the last property, which had no value, to null");
+  return repairs;
+};
+
+// The first ``` fenced block (or everything after an unclosed fence) -> { body, offset }
+const stripCodeFence = (text) => {
+  const match = text.match(/```[\w-]*[^\S\n]*\n?/);
+  if (!match) return null;
+  const offset = match.index + match[0].length;
+  const close = text.indexOf("```", offset);
+  return { body: text.slice(offset, close === -1 ? text.length : close), offset };
+};
+
+// Offsets where a top-level value may start: the whole text when it begins
+// with { or [, otherwise each { in turn so prose before the JSON is skipped
+const candidateStarts = (text) => {
+  const first = text.search(/\S/);
+  if (first !== -1 && (text[first] === "{" || text[first] === "[")) return [first];
+  const starts = [];
+  for (let i = text.indexOf("{"); i !== -1 && starts.length < MAX_CANDIDATES; i = text.indexOf("{", i + 1)) {
+    starts.push(i);
+  }
+  return starts;
+};
+
+const tryCandidate = (text, start) => {
+  const { json, sourceOffsets, end, counts } = repairFrom(text, start);
+  const errors = [];
+  const value = parse(json, errors, { allowTrailingComma: true, disallowComments: true });
+  const error = errors[0] && {
+    reason: PARSE_ERROR_MESSAGES[printParseErrorCode(errors[0].error)] || "invalid JSON",
+    offset: sourceOffsets[errors[0].offset] ?? text.length,
+  };
+  return { value, error, start, end, counts };
+};
+
+const isUsable = (candidate, multiple) => !candidate.error && (!multiple || (
+  // Skip prose like "{name}" or "{}" when looking for the document inside text
+  candidate.value && typeof candidate.value === "object" && Object.keys(candidate.value).length > 0
+));
+
+// -> { value, repairs: [string] }. Throws JsonSyntaxError with the line and
+// column (in `input`) of the first problem that couldn't be repaired.
+export const parseLenientJson = (input) => {
+  const original = String(input ?? "").replace(/^﻿/, "");
+  const repairs = [];
+  let text = original;
+  let base = 0;
+
+  const fenced = stripCodeFence(original);
+  if (fenced && fenced.body.includes("{")) {
+    text = fenced.body;
+    base = fenced.offset;
+    repairs.push("removed markdown code fence");
+  }
+
+  const starts = candidateStarts(text);
+  if (starts.length === 0) {
+    const at = base + Math.max(0, text.search(/\S/));
+    throw new JsonSyntaxError("no JSON object found, it should start with {", { ...positionOf(original, at), repairs });
+  }
+
+  const candidates = [];
+  for (const start of starts) {
+    const candidate = tryCandidate(text, start);
+    if (isUsable(candidate, starts.length > 1)) {
+      if (text.slice(0, candidate.start).trim() || text.slice(candidate.end).trim()) {
+        repairs.push("ignored text before or after the JSON");
+      }
+      return { value: candidate.value, repairs: [...repairs, ...describeRepairs(candidate.counts)] };
+    }
+    candidates.push(candidate);
+  }
+
+  // Report against the longest candidate - the document rather than prose
+  const best = candidates.reduce((a, b) => (b.end - b.start > a.end - a.start ? b : a));
+  const offset = base + (best.error ? best.error.offset : best.start);
+  const reason = best.error ? best.error.reason : "expected a JSON object with at least one property";
+  throw new JsonSyntaxError(reason, { ...positionOf(original, offset), repairs: [...repairs, ...describeRepairs(best.counts)] });
+};
+
+// Accepts JSON strings or already-parsed objects -> { value, repairs }
+export const parseInput = (value) => (typeof value === "string" ? parseLenientJson(value) : { value, repairs: [] });
+
+// Repairs as { path, message } warnings, alongside validation warnings
+export const repairWarnings = (path, repairs) => repairs.map(repair => ({ path, message: `was repaired: ${repair}` }));
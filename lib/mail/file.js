@@ -0,0 +1,27 @@
+import fs from "fs";
+import path from "path";
+import nodemailer from "nodemailer";
+
+// Writes each message as an .eml file instead of sending it. Open the file in
+// any mail client to check the subject, body and attachment.
+export const createFileTransport = ({
+  dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "data", "outbox"),
+} = {}) => {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: "file",
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      const id = info.messageId.replace(/[<>]/g, "");
+      const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, "-")}_${id.split("@")[0]}.eml`);
+
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file, info.message);
+      console.log(`📨 Email written to ${file}`);
+
+      return { id, file };
+    },
+  };
+};
@@ -0,0 +1,54 @@
+import { ApiError } from "../errors";
+import { createFileTransport } from "./file";
+import { createResendTransport } from "./resend";
+import { createSmtpTransport } from "./smtp";
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  resend: createResendTransport,
+  file: createFileTransport,
+};
+
+// Only the file transport may send without a configured sender
+const DEFAULT_FROM = "Resume Generator <resumes@localhost>";
+
+const EMAIL_REGEX = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+export const isValidEmail = (value) => typeof value === "string" && EMAIL_REGEX.test(value.trim());
+
+// MAIL_TRANSPORT picks the transport explicitly; otherwise use whichever
+// service is configured and fall back to writing .eml files
+export const getTransportName = () =>
+  (process.env.MAIL_TRANSPORT || (process.env.RESEND_API_KEY ? "resend" : process.env.SMTP_HOST ? "smtp" : "file")).toLowerCase();
+
+export const getMailTransport = (name = getTransportName()) => {
+  const factory = TRANSPORTS[name];
+  if (!factory) {
+    throw new ApiError("NOT_CONFIGURED", `Unknown mail transport "${name}". Available: ${Object.keys(TRANSPORTS).join(", ")}`);
+  }
+  return factory();
+};
+
+export const getMailFrom = (transport) => {
+  const from = process.env.MAIL_FROM;
+  if (from) return from;
+  if (transport.name === "file") return DEFAULT_FROM;
+  throw new ApiError("NOT_CONFIGURED", `MAIL_FROM is not set. It is required for the ${transport.name} transport.`);
+};
+
+// Email a generated resume as an attachment -> { id, transport, ... }
+export const sendResumeEmail = async ({ transport = getMailTransport(), from = getMailFrom(transport), to, replyTo, subject, message, attachment }) => {
+  const result = await transport.send({
+    from,
+    to,
+    replyTo: replyTo || undefined,
+    subject,
+    text: message,
+    attachments: [{
+      filename: attachment.filename,
+      content: Buffer.from(attachment.content),
+      contentType: attachment.contentType,
+    }],
+  });
+  return { ...result, transport: transport.name };
+};
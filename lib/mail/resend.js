@@ -0,0 +1,23 @@
+import { Resend } from "resend";
+import { ApiError } from "../errors";
+
+export const createResendTransport = ({ apiKey = process.env.RESEND_API_KEY } = {}) => {
+  if (!apiKey) {
+    throw new ApiError("NOT_CONFIGURED", "RESEND_API_KEY is not set. Configure it or use MAIL_TRANSPORT=file.");
+  }
+
+  const resend = new Resend(apiKey);
+
+  return {
+    name: "resend",
+
+    async send({ from, to, replyTo, subject, text, attachments }) {
+      // The SDK reports API failures in `error` instead of throwing
+      const { data, error } = await resend.emails.send({ from, to, replyTo, subject, text, attachments });
+      if (error) {
+        throw new Error(`Resend request failed: ${error.message}`);
+      }
+      return { id: data.id };
+    },
+  };
+};
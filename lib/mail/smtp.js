@@ -0,0 +1,31 @@
+import nodemailer from "nodemailer";
+import { ApiError } from "../errors";
+
+// Any SMTP server (Gmail app passwords, SES, Mailgun, a company relay)
+export const createSmtpTransport = ({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT) || 587,
+  secure = process.env.SMTP_SECURE === "true",
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+} = {}) => {
+  if (!host) {
+    throw new ApiError("NOT_CONFIGURED", "SMTP_HOST is not set. Configure it or use MAIL_TRANSPORT=file.");
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+  };
+};
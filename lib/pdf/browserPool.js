@@ -0,0 +1,219 @@
+// Shared Chromium for PDF rendering. One browser is launched on demand and
+// reused across requests; at most `maxConcurrency` pages render at once and
+// the rest wait in a FIFO queue. Idle pages are kept for reuse, a browser
+// that crashes mid-render is relaunched (and the render retried once; launch
+// failures are reported straight away), and the browser is closed after
+// `idleTimeoutMs` without work.
+
+import { ApiError } from "../errors";
+
+// Replied to as 503 RENDER_BUSY with a Retry-After header
+export class RenderQueueTimeoutError extends ApiError {
+  constructor(waitedMs) {
+    super("RENDER_BUSY", `No PDF renderer became free within ${waitedMs}ms, try again shortly`);
+    this.name = "RenderQueueTimeoutError";
+  }
+}
+
+// Errors that mean the browser (not the HTML) is the problem
+const BROWSER_FAILURE_REGEX = /Target closed|Session closed|Connection closed|Protocol error|browser has disconnected|detached Frame/i;
+
+export const createBrowserPool = ({
+  launch,
+  maxConcurrency = 2,
+  idleTimeoutMs = 60000,
+  queueTimeoutMs = 30000,
+  maxRendersPerBrowser = 200,
+}) => {
+  let browser = null;
+  let launching = null;
+  let rendersOnBrowser = 0;
+  let idleTimer = null;
+  let active = 0;
+  const idlePages = [];
+  const waiting = [];
+
+  const stats = {
+    renders: 0,
+    failures: 0,
+    launches: 0,
+    crashes: 0,
+    retries: 0,
+    totalMs: 0,
+    lastTiming: null,
+  };
+
+  // `connected` is puppeteer 22+, isConnected() the older API used by puppeteer-core 21
+  const isConnected = () => Boolean(browser && (browser.connected ?? browser.isConnected()));
+
+  const closeBrowser = async () => {
+    const current = browser;
+    browser = null;
+    idlePages.length = 0;
+    rendersOnBrowser = 0;
+    if (current) {
+      await current.close().catch(() => {});
+    }
+  };
+
+  const getBrowser = () => {
+    if (isConnected()) return Promise.resolve(browser);
+
+    if (!launching) {
+      launching = (async () => {
+        const launched = await launch();
+        stats.launches++;
+        launched.on("disconnected", () => {
+          // closeBrowser() clears `browser` first, so only unexpected exits count as crashes
+          if (browser === launched) {
+            stats.crashes++;
+            console.warn("⚠️ PDF browser disconnected unexpectedly, it will be relaunched on the next render");
+            browser = null;
+            idlePages.length = 0;
+          }
+        });
+        browser = launched;
+        rendersOnBrowser = 0;
+        return launched;
+      })().finally(() => {
+        launching = null;
+      });
+    }
+    return launching;
+  };
+
+  const scheduleIdleShutdown = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      if (active === 0 && browser) {
+        console.log("💤 Closing idle PDF browser");
+        closeBrowser();
+      }
+    }, idleTimeoutMs);
+    idleTimer.unref?.();
+  };
+
+  const acquireSlot = () => new Promise((resolve, reject) => {
+    clearTimeout(idleTimer);
+    if (active < maxConcurrency) {
+      active++;
+      return resolve();
+    }
+
+    const waiter = { resolve };
+    waiter.timer = setTimeout(() => {
+      waiting.splice(waiting.indexOf(waiter), 1);
+      reject(new RenderQueueTimeoutError(queueTimeoutMs));
+    }, queueTimeoutMs);
+    waiting.push(waiter);
+  });
+
+  const releaseSlot = () => {
+    const next = waiting.shift();
+    if (next) {
+      // Hand the slot straight to the next render
+      clearTimeout(next.timer);
+      next.resolve();
+      return;
+    }
+
+    active--;
+    if (active === 0) {
+      // Recycle long-lived browsers at a quiet moment to cap memory growth
+      if (rendersOnBrowser >= maxRendersPerBrowser) {
+        closeBrowser();
+      } else {
+        scheduleIdleShutdown();
+      }
+    }
+  };
+
+  const releasePage = (owner, page, reusable) => {
+    if (reusable && owner === browser && isConnected() && idlePages.length < maxConcurrency) {
+      idlePages.push(page);
+    } else {
+      page.close().catch(() => {});
+    }
+  };
+
+  const renderOnce = async (html, pdfOptions, timing) => {
+    const launchStarted = Date.now();
+    const cold = !isConnected();
+    // A browser that can't start (no Chrome, missing libraries) won't start on a retry either
+    const owner = await getBrowser().catch(launchError => {
+      throw Object.assign(launchError, { launchFailed: true });
+    });
+    if (cold) {
+      timing.warm = false;
+      timing.launchMs += Date.now() - launchStarted;
+    }
+
+    const reused = idlePages.pop();
+    const page = reused && !reused.isClosed() ? reused : await owner.newPage();
+    let reusable = false;
+
+    try {
+      const contentStarted = Date.now();
+      // 'load' is enough since templates have no external resources
+      await page.setContent(html, { waitUntil: "load" });
+      timing.contentMs = Date.now() - contentStarted;
+
+      const pdfStarted = Date.now();
+      const pdf = await page.pdf(pdfOptions);
+      timing.pdfMs = Date.now() - pdfStarted;
+
+      reusable = true;
+      rendersOnBrowser++;
+      return pdf;
+    } finally {
+      releasePage(owner, page, reusable);
+    }
+  };
+
+  // Render html to a PDF buffer -> { pdf, timing }
+  const render = async (html, pdfOptions) => {
+    const started = Date.now();
+    await acquireSlot();
+
+    const timing = { queueMs: Date.now() - started, launchMs: 0, contentMs: 0, pdfMs: 0, totalMs: 0, warm: true, attempts: 0 };
+
+    try {
+      for (;;) {
+        timing.attempts++;
+        try {
+          const pdf = await renderOnce(html, pdfOptions, timing);
+          timing.totalMs = Date.now() - started;
+          stats.renders++;
+          stats.totalMs += timing.totalMs;
+          stats.lastTiming = timing;
+          return { pdf, timing };
+        } catch (error) {
+          const browserFailed = !error.launchFailed && (!isConnected() || BROWSER_FAILURE_REGEX.test(error.message));
+          if (timing.attempts >= 2 || !browserFailed) throw error;
+
+          console.warn(`⚠️ PDF render failed (${error.message}), retrying with a fresh browser`);
+          stats.retries++;
+          await closeBrowser();
+        }
+      }
+    } catch (error) {
+      stats.failures++;
+      throw error;
+    } finally {
+      releaseSlot();
+    }
+  };
+
+  const getStats = () => ({
+    ...stats,
+    averageMs: stats.renders > 0 ? Math.round(stats.totalMs / stats.renders) : 0,
+    browserRunning: isConnected(),
+    rendersOnBrowser,
+    idlePages: idlePages.length,
+    active,
+    queued: waiting.length,
+    maxConcurrency,
+  });
+
+  return { render, getStats, close: closeBrowser };
+};
@@ -0,0 +1,29 @@
+import { envInt } from "../env";
+import { createBrowserPool, RenderQueueTimeoutError } from "./browserPool";
+import { launchBrowser } from "./launch";
+
+export { RenderQueueTimeoutError };
+
+// Keep the pool on globalThis so dev-server hot reloads don't leak browsers
+export const getBrowserPool = () => {
+  if (!globalThis.__resumeBrowserPool) {
+    globalThis.__resumeBrowserPool = createBrowserPool({
+      launch: launchBrowser,
+      maxConcurrency: envInt("PDF_MAX_CONCURRENCY", 2),
+      idleTimeoutMs: envInt("PDF_IDLE_TIMEOUT_MS", 60000),
+      queueTimeoutMs: envInt("PDF_QUEUE_TIMEOUT_MS", 30000),
+      maxRendersPerBrowser: envInt("PDF_MAX_RENDERS_PER_BROWSER", 200),
+    });
+  }
+  return globalThis.__resumeBrowserPool;
+};
+
+// Render resume HTML with the template's page size and margins -> { pdf, timing }.
+// overrides (e.g. { scale, margin }) are passed through to page.pdf().
+export const renderPdf = (html, template, overrides = {}) => getBrowserPool().render(html, {
+  format: template.pageSize,
+  printBackground: true,
+  margin: template.margin,
+  preferCSSPageSize: false, // Faster rendering
+  ...overrides,
+});
@@ -0,0 +1,44 @@
+import chromium from "@sparticuz/chromium";
+import puppeteerCore from "puppeteer-core";
+import puppeteer from "puppeteer";
+
+// Launch Chromium: @sparticuz/chromium on Vercel / production, bundled puppeteer locally
+export const launchBrowser = async () => {
+  // Check if running on Vercel (serverless environment)
+  const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
+  const isProduction = process.env.NODE_ENV === 'production';
+  const isServerless = isVercel || isProduction;
+
+  if (isServerless) {
+    // Optimized chromium args for faster startup in serverless
+    const optimizedArgs = [
+      ...chromium.args,
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-web-security',
+      '--disable-features=IsolateOrigins,site-per-process',
+      '--disable-background-timer-throttling',
+      '--disable-backgrounding-occluded-windows',
+      '--disable-renderer-backgrounding'
+    ];
+
+    return puppeteerCore.launch({
+      args: optimizedArgs,
+      defaultViewport: chromium.defaultViewport,
+      executablePath: await chromium.executablePath(),
+      headless: chromium.headless,
+    });
+  }
+
+  // Local development with optimized settings
+  return puppeteer.launch({
+    headless: "new",
+    args: [
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+      '--no-sandbox'
+    ]
+  });
+};
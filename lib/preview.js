@@ -0,0 +1,22 @@
+import { getDocument } from "./generate";
+import { injectStyle } from "./theme";
+
+const PAGE_WIDTHS = { a4: "210mm", letter: "8.5in", legal: "8.5in" };
+
+// Templates rely on the PDF page size and margins, so emulate the page box on screen
+const addScreenPageStyles = (html, template) => {
+  const { top, right, bottom, left } = template.margin;
+  const width = PAGE_WIDTHS[template.pageSize.toLowerCase()] || PAGE_WIDTHS.a4;
+  return injectStyle(html, `@media screen { html { width: ${width}; padding: ${top} ${right} ${bottom} ${left}; box-sizing: border-box; background: #ffffff; } }`);
+};
+
+// The resume (or cover letter) HTML exactly as generateResume would render
+// it, without the PDF step -> { html, template, warnings }
+export const renderPreview = ({ profile, jd, template, company, role, type = "resume", sections, hiddenJobs, theme }) => {
+  const prepared = getDocument(type).prepare({ profile, jd, template, company, role, sections, hiddenJobs, theme });
+  return {
+    html: addScreenPageStyles(prepared.template.render(prepared.templateData), prepared.template),
+    template: prepared.template,
+    warnings: prepared.warnings,
+  };
+};
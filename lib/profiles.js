@@ -0,0 +1,54 @@
+import { createVersionedCache } from "./cache";
+import { getProfileStore } from "./storage";
+
+// Profile ids double as file names in resumes/, so keep them to safe characters
+const PROFILE_ID_REGEX = /^[A-Za-z0-9][\w .-]{0,99}$/;
+
+export const isValidProfileId = (id) =>
+  typeof id === "string" && PROFILE_ID_REGEX.test(id) && !id.includes("..");
+
+// "Jane Doe" -> "Jane_Doe", the convention used by the existing resumes/*.json files
+export const profileIdFromName = (name) =>
+  String(name || "").trim().replace(/[^\w .-]/g, "").replace(/\s+/g, "_").replace(/^[^A-Za-z0-9]+/, "");
+
+// Cache profile data in memory to avoid repeated file reads. Entries are
+// reloaded when the store reports a new version (file mtime for the fs store).
+const profileCache = createVersionedCache("profiles");
+const profileListCache = createVersionedCache("profile-list");
+
+export const loadProfile = (profileName) => {
+  if (!isValidProfileId(profileName)) {
+    return null;
+  }
+
+  const store = getProfileStore();
+  return profileCache.get(profileName, store.version(profileName), () => store.get(profileName));
+};
+
+export const listProfiles = () => {
+  const store = getProfileStore();
+  return profileListCache.get("all", store.listVersion(), () =>
+    store
+      .list()
+      .sort()
+      .map(id => ({
+        id,
+        name: id.replace(/_/g, " ")
+      }))
+  );
+};
+
+export const profileExists = (id) => isValidProfileId(id) && getProfileStore().exists(id);
+
+export const saveProfile = (id, profileData) => {
+  getProfileStore().save(id, profileData);
+  profileCache.delete(id);
+  profileListCache.clear();
+};
+
+export const deleteProfile = (id) => {
+  const removed = getProfileStore().remove(id);
+  profileCache.delete(id);
+  profileListCache.clear();
+  return removed;
+};
@@ -0,0 +1,17 @@
+// Any origin works as the base: only paths that stay on it are kept
+const BASE = "http://localhost";
+
+// ?next= -> a path on this site, or "/" for anything that would leave it.
+// Browsers treat "\" like "/" and drop tabs and newlines, so "/\evil.com"
+// becomes "//evil.com"; those are refused before the URL check.
+export const safeNextPath = (next) => {
+  if (typeof next !== "string" || !next.startsWith("/") || /[\\\s\u0000-\u001f\u007f]/.test(next)) return "/";
+  try {
+    const url = new URL(next, BASE);
+    const path = `${url.pathname}${url.search}${url.hash}`;
+    // "/..//evil.com" stays on this site but normalizes to "//evil.com"
+    return url.origin === BASE && !path.startsWith("//") ? path : "/";
+  } catch (error) {
+    return "/";
+  }
+};
@@ -0,0 +1,39 @@
+import { apiErrorFrom } from "./errors";
+
+const POLL_INTERVAL_MS = 1000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Client side: render through a job (/api/jobs), calling onStatus(job) with
+// every status it reports -> the result Response, just like
+// fetch("/api/generate") would return. Servers with jobs turned off answer
+// NOT_CONFIGURED and the body is sent to /api/generate instead.
+export const renderWithJob = async (body, { onStatus = () => {}, fallbackMessage }) => {
+  const request = {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  };
+
+  const submitRes = await fetch("/api/jobs", request);
+  if (!submitRes.ok) {
+    const error = await apiErrorFrom(submitRes, fallbackMessage);
+    if (error.code !== "NOT_CONFIGURED") throw error;
+    return fetch("/api/generate", request);
+  }
+
+  let job = await submitRes.json();
+  onStatus(job);
+  while (job.status === "queued" || job.status === "rendering") {
+    await wait(POLL_INTERVAL_MS);
+    const statusRes = await fetch(`/api/jobs/${job.id}`);
+    if (!statusRes.ok) throw await apiErrorFrom(statusRes, fallbackMessage);
+    job = await statusRes.json();
+    onStatus(job);
+  }
+
+  if (job.status === "failed") {
+    throw Object.assign(new Error(job.error.message), { code: job.error.code, details: job.error.details || [] });
+  }
+  return fetch(job.resultUrl);
+};
@@ -0,0 +1,128 @@
+import { loadProfile } from "./profiles";
+import { parseInput, repairWarnings } from "./lenientJson";
+import { matchExperience } from "./experience";
+import { resolveSections, sectionOptions } from "./sections";
+import { getTemplate, listTemplates, DEFAULT_TEMPLATE } from "./templates";
+import { applyTheme, resolveTheme } from "./theme";
+import { validateProfile, validateCompletedResume, validateGenerationOptions, formatValidationErrors } from "./validation";
+import { ApiError, missingField } from "./errors";
+
+// Combine profile (contact, jobs, education, optional sections) with tailored
+// content for the template. `sections` ({ order, hidden }) overrides the
+// profile's own layout; hidden sections are dropped from the data entirely.
+// Jobs get the bullets of the experience entry matched to them (see
+// lib/experience.js) or the profile's default details; hiddenJobs are left out.
+export const buildTemplateData = (profileData, resumeContent, { sections, hiddenJobs } = {}) => {
+  const { jobs } = matchExperience(profileData.experience, resumeContent.experience, { hiddenJobs });
+
+  const data = {
+    name: profileData.name,
+    title: resumeContent.title,
+    email: profileData.email,
+    phone: profileData.phone,
+    location: profileData.location,
+    linkedin: profileData.linkedin,
+    website: profileData.website,
+    summary: resumeContent.summary,
+    skills: resumeContent.skills,
+    experience: jobs.filter(slot => !slot.hidden).map(({ job, entry }) => ({
+      title: job.title || entry?.title || "",
+      company: job.company,
+      location: job.location,
+      start_date: job.start_date,
+      end_date: job.end_date,
+      details: entry?.details || job.details || []
+    })),
+    education: profileData.education,
+    projects: profileData.projects,
+    certifications: profileData.certifications,
+    publications: profileData.publications,
+    awards: profileData.awards,
+    languages: profileData.languages
+  };
+
+  const options = sectionOptions(profileData, sections);
+  options.hidden.forEach(id => delete data[id]);
+  data.sections = resolveSections(data, options).map(id => ({ id }));
+  return data;
+};
+
+// Find a template of the given document type or explain which ones exist
+export const resolveTemplate = (templateId, type = "resume") => {
+  // Get cached template (compiled once, reused)
+  const template = getTemplate(templateId, type);
+  if (!template) {
+    const available = listTemplates(type).map(t => t.id).join(", ");
+    throw new ApiError("TEMPLATE_NOT_FOUND", `Template "${templateId}" not found. Available: ${available}`, [
+      { path: "template", message: `must be one of: ${available}` },
+    ]);
+  }
+  return template;
+};
+
+// Load a profile and make sure it can be rendered
+export const loadValidProfile = (profile) => {
+  // Load profile JSON (using cache)
+  console.log(`Loading profile: ${profile}`);
+  const profileData = loadProfile(profile);
+  
+  if (!profileData) {
+    throw new ApiError("PROFILE_NOT_FOUND", `Profile "${profile}" not found`);
+  }
+
+  const profileValidation = validateProfile(profileData);
+  if (!profileValidation.valid) {
+    console.error("Invalid profile:", profileValidation.errors);
+    throw new ApiError("STORED_PROFILE_INVALID", `Profile "${profile}" is invalid`, profileValidation.errors);
+  }
+
+  return profileData;
+};
+
+// Load, parse and validate everything needed to render a resume.
+// Shared by /api/generate and /api/preview so both see identical templateData.
+export const prepareResume = ({ profile, jd, template: templateId = DEFAULT_TEMPLATE, sections, hiddenJobs, theme }) => {
+  if (!profile) throw missingField("profile", "Profile required");
+  if (!jd) throw missingField("jd", "Completed resume JSON required");
+
+  const optionsValidation = validateGenerationOptions({ sections, hiddenJobs, theme });
+  if (!optionsValidation.valid) {
+    throw new ApiError("INVALID_OPTIONS", "Invalid generation options", optionsValidation.errors);
+  }
+
+  const baseTemplate = resolveTemplate(templateId);
+  const profileData = loadValidProfile(profile);
+  const template = applyTheme(baseTemplate, resolveTheme(profileData.theme, theme));
+
+  // Parse the completed resume JSON from the jd field
+  console.log("Parsing completed resume JSON...");
+  
+  let parsed;
+  try {
+    parsed = parseInput(jd);
+  } catch (parseError) {
+    throw new ApiError("INVALID_RESUME_JSON", `Completed resume JSON could not be parsed. ${parseError.message}`, [parseError.detail("jd")]);
+  }
+  const { value: resumeContent, repairs } = parsed;
+  
+  // Validate against the schema and the profile's experience entries
+  const resumeValidation = validateCompletedResume(resumeContent, profileData, { hiddenJobs });
+  const warnings = [...repairWarnings("jd", repairs), ...resumeValidation.warnings];
+  warnings.forEach(({ path, message }) => console.warn(`⚠️ WARNING: ${path} ${message}`));
+  if (!resumeValidation.valid) {
+    console.error("Resume JSON failed validation:", formatValidationErrors(resumeValidation.errors));
+    throw new ApiError("INVALID_RESUME_JSON", "Completed resume JSON failed validation", resumeValidation.errors);
+  }
+
+  console.log("✅ Resume JSON parsed successfully");
+  console.log("Skills categories:", Object.keys(resumeContent.skills).length);
+  console.log("Experience entries:", resumeContent.experience.length);
+
+  return {
+    profileData,
+    resumeContent,
+    template,
+    templateData: buildTemplateData(profileData, resumeContent, { sections, hiddenJobs }),
+    warnings
+  };
+};
@@ -0,0 +1,199 @@
+// Schemas for the two JSON documents the generator consumes. The format is a
+// small subset of JSON Schema understood by lib/validation.js.
+
+import { RESUME_SECTIONS } from "./sections";
+import { HEADER_ALIGNMENTS, PAPER_SIZES } from "./theme";
+
+const optionalString = { type: "string" };
+const requiredString = { type: "string", minLength: 1 };
+const year = { type: ["string", "number"] };
+const stringList = { type: "array", items: requiredString };
+const sectionList = { type: "array", items: { type: "string", enum: RESUME_SECTIONS } };
+
+// Optional resume sections beyond experience and education
+const listOf = (required, properties) => ({
+  type: "array",
+  items: { type: "object", required, properties },
+});
+
+const projects = listOf(["name"], {
+  name: requiredString,
+  role: optionalString,
+  url: optionalString,
+  start_date: optionalString,
+  end_date: optionalString,
+  description: optionalString,
+  details: stringList,
+  technologies: stringList,
+});
+
+const certifications = listOf(["name"], {
+  name: requiredString,
+  issuer: optionalString,
+  date: optionalString,
+  credential_id: optionalString,
+  url: optionalString,
+});
+
+const publications = listOf(["title"], {
+  title: requiredString,
+  publisher: optionalString,
+  date: optionalString,
+  authors: optionalString,
+  url: optionalString,
+});
+
+const awards = listOf(["title"], {
+  title: requiredString,
+  issuer: optionalString,
+  date: optionalString,
+  description: optionalString,
+});
+
+const languages = listOf(["language"], {
+  language: requiredString,
+  proficiency: optionalString,
+});
+
+// Paper size, page margins ("15mm 18mm"), font, accent color and header
+// alignment. Stored on the profile as defaults and sent per generation.
+const theme = {
+  type: "object",
+  properties: {
+    paperSize: { type: "string", enum: PAPER_SIZES },
+    margin: { type: "string", format: "margin" },
+    fontFamily: { type: "string", format: "font-family" },
+    fontSize: { type: "number", minimum: 7, maximum: 14 },
+    accentColor: { type: "string", format: "color" },
+    headerAlign: { type: "string", enum: HEADER_ALIGNMENTS },
+  },
+};
+
+// resumes/*.json - candidate contact info, work history and education
+export const profileSchema = {
+  type: "object",
+  required: ["name", "email", "experience", "education"],
+  properties: {
+    name: requiredString,
+    email: { type: "string", minLength: 1, format: "email" },
+    phone: optionalString,
+    location: optionalString,
+    linkedin: optionalString,
+    website: optionalString,
+    experience: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["company", "start_date", "end_date"],
+        properties: {
+          id: optionalString,
+          company: requiredString,
+          title: optionalString,
+          location: optionalString,
+          start_date: requiredString,
+          end_date: requiredString,
+          details: { type: "array", items: requiredString },
+        },
+      },
+    },
+    education: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["degree", "school"],
+        properties: {
+          degree: requiredString,
+          school: requiredString,
+          start_year: year,
+          end_year: year,
+        },
+      },
+    },
+    projects,
+    certifications,
+    publications,
+    awards,
+    languages,
+    // { "Cloud": ["AWS", "Terraform"] }, as in the completed resume JSON
+    skills: { type: "object", additionalProperties: stringList },
+    section_order: sectionList,
+    hidden_sections: sectionList,
+    theme,
+    // JSON Resume fields with no profile equivalent, kept for export (see lib/jsonResume.js)
+    json_resume: { type: "object" },
+  },
+};
+
+// Per-generation layout options:
+//   sections: { order: ["experience", "skills"], hidden: ["awards"] }
+//   hiddenJobs: job ids, company names or 0-based indexes to leave out
+//   theme: overrides the profile's theme field by field
+export const generationOptionsSchema = {
+  type: "object",
+  properties: {
+    sections: {
+      type: "object",
+      properties: {
+        order: sectionList,
+        hidden: sectionList,
+      },
+    },
+    hiddenJobs: { type: "array", items: { type: ["string", "number"] } },
+    // Fit the PDF onto this many pages (see lib/fit.js)
+    maxPages: { type: "integer", minimum: 1, maximum: 10 },
+    trimBullets: { type: "boolean" },
+    theme,
+  },
+};
+
+// Completed (tailored) resume JSON pasted into the generator or returned by /api/tailor
+export const completedResumeSchema = {
+  type: "object",
+  required: ["title", "summary", "skills", "experience"],
+  properties: {
+    title: requiredString,
+    summary: requiredString,
+    skills: {
+      type: "object",
+      minProperties: 1,
+      additionalProperties: { type: "array", minItems: 1, items: requiredString },
+    },
+    experience: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["details"],
+        properties: {
+          id: optionalString,
+          company: optionalString,
+          title: optionalString,
+          details: { type: "array", minItems: 1, items: requiredString },
+        },
+      },
+    },
+  },
+};
+
+// Cover letter JSON: the body of the letter; the header comes from the profile
+export const coverLetterSchema = {
+  type: "object",
+  required: ["greeting", "paragraphs", "closing"],
+  properties: {
+    date: optionalString,
+    recipient: {
+      type: "object",
+      properties: {
+        name: optionalString,
+        title: optionalString,
+        company: optionalString,
+        address: optionalString,
+      },
+    },
+    greeting: requiredString,
+    paragraphs: { type: "array", minItems: 1, items: requiredString },
+    closing: requiredString,
+    signature: optionalString,
+  },
+};
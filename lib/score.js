@@ -0,0 +1,89 @@
+import { extractKeywords, extractTerms, mentionsSkill, mentionsTerm } from "./keywords";
+
+// Known skills matter more than generic repeated words
+const SKILL_WEIGHT = 2;
+const TERM_WEIGHT = 1;
+const MAX_MENTION_BONUS = 3;
+
+const percent = (part, total) => (total > 0 ? Math.round((part / total) * 100) : 0);
+
+// Split templateData (or a completed resume) into the sections we report on
+export const sectionsFromResume = (data) => {
+  const sections = {
+    title: data.title || "",
+    summary: data.summary || "",
+  };
+
+  for (const [category, values] of Object.entries(data.skills || {})) {
+    sections[`skills.${category}`] = Array.isArray(values) ? values.join(", ") : String(values || "");
+  }
+
+  sections.experience = (data.experience || [])
+    .map(job => [job.title, ...(job.details || [])].filter(Boolean).join("\n"))
+    .join("\n");
+
+  return sections;
+};
+
+const summariseSection = (name, text, keywords) => {
+  const matched = keywords.filter(k => k.sections.includes(name)).map(k => k.term);
+  return {
+    matched,
+    coverage: percent(matched.length, keywords.length),
+    words: text.split(/\s+/).filter(Boolean).length,
+  };
+};
+
+// Compare a job description against resume sections ({ name: text }) and
+// report matched / missing keywords, per-section coverage and a 0-100 score
+export const scoreResume = (jobDescription, sections) => {
+  const keywords = [
+    ...extractKeywords(jobDescription).map(({ skill, category, count }) => ({
+      term: skill,
+      type: "skill",
+      category,
+      weight: SKILL_WEIGHT * Math.min(count, MAX_MENTION_BONUS),
+      matches: (text) => mentionsSkill(text, skill),
+    })),
+    ...extractTerms(jobDescription).map(({ term, count }) => ({
+      term,
+      type: "term",
+      weight: TERM_WEIGHT * Math.min(count, MAX_MENTION_BONUS),
+      matches: (text) => mentionsTerm(text, term),
+    })),
+  ].map(({ matches, ...keyword }) => ({
+    ...keyword,
+    sections: Object.entries(sections).filter(([, text]) => matches(text)).map(([name]) => name),
+  }));
+
+  const totalWeight = keywords.reduce((sum, k) => sum + k.weight, 0);
+  const matchedWeight = keywords.filter(k => k.sections.length > 0).reduce((sum, k) => sum + k.weight, 0);
+
+  // Skills categories are reported together plus individually
+  const sectionNames = Object.keys(sections);
+  const skillSections = sectionNames.filter(name => name.startsWith("skills."));
+  const sectionReport = {};
+
+  for (const name of sectionNames.filter(n => !n.startsWith("skills."))) {
+    sectionReport[name] = summariseSection(name, sections[name], keywords);
+  }
+  if (skillSections.length > 0) {
+    const matched = keywords.filter(k => k.sections.some(s => skillSections.includes(s))).map(k => k.term);
+    sectionReport.skills = {
+      matched,
+      coverage: percent(matched.length, keywords.length),
+      categories: Object.fromEntries(skillSections.map(name => [
+        name.slice("skills.".length),
+        summariseSection(name, sections[name], keywords),
+      ])),
+    };
+  }
+
+  return {
+    score: percent(matchedWeight, totalWeight),
+    matched: keywords.filter(k => k.sections.length > 0).map(k => k.term),
+    missing: keywords.filter(k => k.sections.length === 0).map(k => k.term),
+    keywords,
+    sections: sectionReport,
+  };
+};
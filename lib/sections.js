@@ -0,0 +1,35 @@
+// Resume sections in their default order. Templates and exporters walk
+// templateData.sections, so reordering and hiding sections happens here once.
+export const RESUME_SECTIONS = [
+  "summary",
+  "skills",
+  "experience",
+  "projects",
+  "education",
+  "certifications",
+  "publications",
+  "awards",
+  "languages",
+];
+
+const hasContent = (value) => {
+  if (Array.isArray(value)) return value.length > 0;
+  if (value && typeof value === "object") return Object.keys(value).length > 0;
+  return Boolean(value);
+};
+
+// Sections listed in `order` come first, the rest keep their default position.
+// Hidden and empty sections are left out.
+export const resolveSections = (data, { order = [], hidden = [] } = {}) => {
+  const ordered = [...new Set([...order, ...RESUME_SECTIONS])].filter(id => RESUME_SECTIONS.includes(id));
+  return ordered.filter(id => !hidden.includes(id) && hasContent(data[id]));
+};
+
+// Per-generation options win over the profile's own section_order / hidden_sections
+export const sectionOptions = (profileData, options = {}) => ({
+  order: options.order || profileData.section_order || [],
+  hidden: options.hidden || profileData.hidden_sections || [],
+});
+
+// Section ids to render for templateData, in order
+export const sectionIds = (data) => (data.sections ? data.sections.map(section => section.id) : resolveSections(data));
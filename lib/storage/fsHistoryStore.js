@@ -0,0 +1,61 @@
+import fs from "fs";
+import path from "path";
+import { fileVersion } from "../cache";
+
+// History entries stored as <dir>/<id>.json with the rendered file next to it
+// as <dir>/<id>.<extension>
+export const createFsHistoryStore = ({ dir = path.join(process.cwd(), "data", "history") } = {}) => {
+  const entryPath = (id) => path.join(dir, `${id}.json`);
+  const artifactPath = (entry) => path.join(dir, `${entry.id}.${entry.extension}`);
+
+  // Same temp-file-then-rename approach as the profile store
+  const writeAtomic = (filePath, content) => {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, filePath);
+  };
+
+  const readEntry = (id) => {
+    if (!fs.existsSync(entryPath(id))) return null;
+    return JSON.parse(fs.readFileSync(entryPath(id), "utf-8"));
+  };
+
+  return {
+    name: "fs",
+
+    listVersion() {
+      return fileVersion(dir);
+    },
+
+    list() {
+      if (!fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir)
+        .filter(file => file.endsWith(".json"))
+        .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8")));
+    },
+
+    get(id) {
+      return readEntry(id);
+    },
+
+    getArtifact(entry) {
+      if (!fs.existsSync(artifactPath(entry))) return null;
+      return fs.readFileSync(artifactPath(entry));
+    },
+
+    save(entry, artifact) {
+      fs.mkdirSync(dir, { recursive: true });
+      // Artifact first, so an entry never points at a missing file
+      writeAtomic(artifactPath(entry), artifact);
+      writeAtomic(entryPath(entry.id), JSON.stringify(entry, null, 2) + "\n");
+    },
+
+    remove(id) {
+      const entry = readEntry(id);
+      if (!entry) return false;
+      fs.rmSync(entryPath(id), { force: true });
+      fs.rmSync(artifactPath(entry), { force: true });
+      return true;
+    },
+  };
+};
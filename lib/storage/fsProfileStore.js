@@ -0,0 +1,50 @@
+import fs from "fs";
+import path from "path";
+import { fileVersion } from "../cache";
+
+// Profiles stored as resumes/<id>.json (the original layout)
+export const createFsProfileStore = ({ dir = path.join(process.cwd(), "resumes") } = {}) => {
+  const filePath = (id) => path.join(dir, `${id}.json`);
+
+  return {
+    name: "fs",
+
+    list() {
+      return fs.readdirSync(dir)
+        .filter(file => file.endsWith(".json") && file !== "_template.json")
+        .map(file => file.replace(/\.json$/, ""));
+    },
+
+    exists(id) {
+      return fs.existsSync(filePath(id));
+    },
+
+    // Change markers used by the profile caches: a profile's file and the
+    // directory itself (its mtime moves whenever a profile is added or removed)
+    version(id) {
+      return fileVersion(filePath(id));
+    },
+
+    listVersion() {
+      return fileVersion(dir);
+    },
+
+    get(id) {
+      if (!fs.existsSync(filePath(id))) return null;
+      return JSON.parse(fs.readFileSync(filePath(id), "utf-8"));
+    },
+
+    save(id, data) {
+      // Write to a temp file first so a crash never leaves half a profile
+      const tempPath = `${filePath(id)}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2) + "\n", "utf-8");
+      fs.renameSync(tempPath, filePath(id));
+    },
+
+    remove(id) {
+      if (!fs.existsSync(filePath(id))) return false;
+      fs.unlinkSync(filePath(id));
+      return true;
+    },
+  };
+};
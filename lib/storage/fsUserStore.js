@@ -0,0 +1,42 @@
+import fs from "fs";
+import path from "path";
+
+// All users in one JSON file (they are few and change rarely), keyed by username
+export const createFsUserStore = ({ file = path.join(process.cwd(), "data", "users.json") } = {}) => {
+  const readAll = () => {
+    if (!fs.existsSync(file)) return {};
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  };
+
+  // Same temp-file-then-rename approach as the profile store
+  const writeAll = (users) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tempPath = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(users, null, 2) + "\n", { encoding: "utf-8", mode: 0o600 });
+    fs.renameSync(tempPath, file);
+  };
+
+  return {
+    name: "fs",
+
+    list() {
+      return Object.values(readAll());
+    },
+
+    get(username) {
+      return readAll()[username] || null;
+    },
+
+    save(user) {
+      writeAll({ ...readAll(), [user.username]: user });
+    },
+
+    remove(username) {
+      const users = readAll();
+      if (!users[username]) return false;
+      delete users[username];
+      writeAll(users);
+      return true;
+    },
+  };
+};
@@ -0,0 +1,64 @@
+import { createFsProfileStore } from "./fsProfileStore";
+import { createMemoryProfileStore } from "./memoryProfileStore";
+import { createFsHistoryStore } from "./fsHistoryStore";
+import { createMemoryHistoryStore } from "./memoryHistoryStore";
+import { createFsUserStore } from "./fsUserStore";
+import { createMemoryUserStore } from "./memoryUserStore";
+
+// Profile stores implement a small synchronous interface:
+//   list() -> [id], exists(id), get(id) -> data|null, save(id, data), remove(id) -> boolean
+//   version(id) / listVersion() -> a value that changes whenever the profile / the list changes
+const STORES = {
+  fs: () => createFsProfileStore(),
+  memory: () => createMemoryProfileStore({ seed: createFsProfileStore() }),
+};
+
+// History stores: list() -> [entry], get(id), getArtifact(entry) -> Buffer|null,
+//   save(entry, artifact), remove(id) -> boolean, listVersion()
+const HISTORY_STORES = {
+  fs: () => createFsHistoryStore({ dir: process.env.HISTORY_DIR || undefined }),
+  memory: () => createMemoryHistoryStore(),
+};
+
+// User stores: list() -> [user], get(username), save(user), remove(username) -> boolean
+const USER_STORES = {
+  fs: () => createFsUserStore({ file: process.env.USERS_FILE || undefined }),
+  memory: () => createMemoryUserStore(),
+};
+
+const pickStore = (kind, envName, stores) => {
+  const name = (process.env[envName] || "fs").toLowerCase();
+  const factory = stores[name];
+  if (!factory) {
+    throw new Error(`Unknown ${kind} store "${name}". Available: ${Object.keys(stores).join(", ")}`);
+  }
+  return factory();
+};
+
+let profileStore = null;
+let historyStore = null;
+let userStore = null;
+
+// PROFILE_STORE selects the backend (default: fs)
+export const getProfileStore = () => {
+  if (!profileStore) {
+    profileStore = pickStore("profile", "PROFILE_STORE", STORES);
+  }
+  return profileStore;
+};
+
+// HISTORY_STORE selects the backend (default: fs, under HISTORY_DIR or data/history)
+export const getHistoryStore = () => {
+  if (!historyStore) {
+    historyStore = pickStore("history", "HISTORY_STORE", HISTORY_STORES);
+  }
+  return historyStore;
+};
+
+// USER_STORE selects the backend (default: fs, USERS_FILE or data/users.json)
+export const getUserStore = () => {
+  if (!userStore) {
+    userStore = pickStore("user", "USER_STORE", USER_STORES);
+  }
+  return userStore;
+};
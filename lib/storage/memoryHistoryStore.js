@@ -0,0 +1,38 @@
+// In-memory history for read-only deployments; lost on restart
+export const createMemoryHistoryStore = () => {
+  const entries = new Map();
+  const artifacts = new Map();
+  let revision = 0;
+
+  return {
+    name: "memory",
+
+    listVersion() {
+      return revision;
+    },
+
+    list() {
+      return [...entries.values()];
+    },
+
+    get(id) {
+      return entries.get(id) || null;
+    },
+
+    getArtifact(entry) {
+      return artifacts.get(entry.id) || null;
+    },
+
+    save(entry, artifact) {
+      entries.set(entry.id, entry);
+      artifacts.set(entry.id, artifact);
+      revision++;
+    },
+
+    remove(id) {
+      artifacts.delete(id);
+      revision++;
+      return entries.delete(id);
+    },
+  };
+};
@@ -0,0 +1,49 @@
+// In-memory profiles, seeded from another store. Useful on read-only
+// deployments (Vercel) and for tests; changes are lost on restart.
+export const createMemoryProfileStore = ({ seed } = {}) => {
+  const profiles = new Map();
+  // Bumped on every write so cached copies are refreshed
+  let revision = 0;
+
+  if (seed) {
+    for (const id of seed.list()) {
+      profiles.set(id, seed.get(id));
+    }
+  }
+
+  const clone = (data) => JSON.parse(JSON.stringify(data));
+
+  return {
+    name: "memory",
+
+    list() {
+      return [...profiles.keys()];
+    },
+
+    exists(id) {
+      return profiles.has(id);
+    },
+
+    version(id) {
+      return profiles.has(id) ? revision : null;
+    },
+
+    listVersion() {
+      return revision;
+    },
+
+    get(id) {
+      return profiles.has(id) ? clone(profiles.get(id)) : null;
+    },
+
+    save(id, data) {
+      profiles.set(id, clone(data));
+      revision++;
+    },
+
+    remove(id) {
+      revision++;
+      return profiles.delete(id);
+    },
+  };
+};
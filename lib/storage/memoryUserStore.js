@@ -0,0 +1,27 @@
+// In-memory users for read-only deployments; only the bootstrap admin
+// (AUTH_ADMIN_USERNAME / AUTH_ADMIN_PASSWORD) survives a restart, and on
+// serverless each instance has its own copy of everyone else
+export const createMemoryUserStore = () => {
+  const users = new Map();
+  const clone = (data) => JSON.parse(JSON.stringify(data));
+
+  return {
+    name: "memory",
+
+    list() {
+      return [...users.values()].map(clone);
+    },
+
+    get(username) {
+      return users.has(username) ? clone(users.get(username)) : null;
+    },
+
+    save(user) {
+      users.set(user.username, clone(user));
+    },
+
+    remove(username) {
+      return users.delete(username);
+    },
+  };
+};
@@ -0,0 +1,72 @@
+import { createOpenAIProvider } from "./openai";
+import { createMockProvider } from "./mock";
+import { ApiError } from "../errors";
+import { matchExperience } from "../experience";
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+// TAILOR_PROVIDER picks the provider explicitly; otherwise use OpenAI when a
+// key is configured and fall back to the offline mock
+export const getProviderName = () =>
+  (process.env.TAILOR_PROVIDER || (process.env.OPENAI_API_KEY ? "openai" : "mock")).toLowerCase();
+
+export const getTailorProvider = (name = getProviderName()) => {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new ApiError("NOT_CONFIGURED", `Unknown tailor provider "${name}". Available: ${Object.keys(PROVIDERS).join(", ")}`);
+  }
+  return factory();
+};
+
+const toStringArray = (value) => {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  if (typeof value === "string" && value.trim()) return [value.trim()];
+  return [];
+};
+
+// Normalise provider output so experience lines up 1:1 with the profile. Entries
+// are matched to jobs by id or company in case the model skipped or reordered
+// some; jobs it skipped keep the profile's default bullets.
+const alignToProfile = (content, profileData) => {
+  const skills = {};
+  if (content.skills && typeof content.skills === "object" && !Array.isArray(content.skills)) {
+    for (const [category, values] of Object.entries(content.skills)) {
+      const list = toStringArray(values);
+      if (list.length > 0) skills[category] = list;
+    }
+  } else if (Array.isArray(content.skills)) {
+    skills["Skills"] = toStringArray(content.skills);
+  }
+
+  const tailoredExperience = Array.isArray(content.experience) ? content.experience : [];
+  const { jobs } = matchExperience(profileData.experience || [], tailoredExperience);
+
+  return {
+    title: String(content.title || "").trim(),
+    summary: String(content.summary || "").trim(),
+    skills,
+    experience: jobs.map(({ job, entry }) => {
+      const details = toStringArray(entry?.details);
+      return {
+        ...(job.id ? { id: job.id } : {}),
+        company: job.company,
+        title: job.title || entry?.title || "",
+        details: details.length > 0 ? details : toStringArray(job.details),
+      };
+    }),
+  };
+};
+
+export const tailorResume = async ({ provider = getTailorProvider(), profileData, jobDescription, company, role }) => {
+  let content;
+  try {
+    content = await provider.tailor({ profileData, jobDescription, company, role });
+  } catch (error) {
+    // Upstream model failures (HTTP errors, timeouts, unusable output)
+    throw new ApiError("TAILOR_FAILED", `Tailoring failed: ${error.message}`);
+  }
+  return alignToProfile(content, profileData);
+};
@@ -0,0 +1,57 @@
+import { extractKeywords, groupByCategory } from "../keywords";
+
+const FALLBACK_SKILLS = {
+  "Core Skills": ["Software Engineering", "Problem Solving", "Cross-functional Collaboration"],
+};
+
+const BULLET_TEMPLATES = [
+  (job, skill) => `Delivered ${skill} features as ${job.title || "an engineer"} at ${job.company}, aligning implementation with product and business goals.`,
+  (job, skill) => `Improved the reliability and maintainability of ${skill} code through code reviews, automated testing and incremental refactoring.`,
+  (job, skill) => `Collaborated with product, design and engineering partners to ship ${skill}-based solutions on schedule.`,
+];
+
+const listPhrase = (items) => {
+  if (items.length <= 1) return items.join("");
+  return `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}`;
+};
+
+// Deterministic offline provider: no network, same input always gives the
+// same output. Used for tests, demos and when no API key is configured.
+export const createMockProvider = () => ({
+  name: "mock",
+
+  async tailor({ profileData, jobDescription, company, role }) {
+    const keywords = extractKeywords(jobDescription);
+    const skillNames = keywords.map(k => k.skill);
+    const jobs = profileData.experience || [];
+
+    const title = role || jobs[0]?.title || "Software Engineer";
+    const companies = jobs.map(job => job.company).filter(Boolean).slice(0, 3);
+    const focus = skillNames.slice(0, 5);
+
+    const summary = [
+      `${title} with a track record of delivering production software${companies.length ? ` at ${listPhrase(companies)}` : ""}.`,
+      focus.length ? `Brings hands-on expertise in ${listPhrase(focus)}.` : null,
+      company ? `Excited to bring this experience to ${company}.` : null,
+    ].filter(Boolean).join(" ");
+
+    const skills = keywords.length > 0 ? groupByCategory(keywords) : FALLBACK_SKILLS;
+
+    const experience = jobs.map((job, idx) => {
+      if (Array.isArray(job.details) && job.details.length > 0) {
+        return { company: job.company, title: job.title || title, details: job.details };
+      }
+
+      const details = BULLET_TEMPLATES.map((template, bulletIdx) => {
+        const skill = skillNames.length > 0
+          ? skillNames[(idx + bulletIdx) % skillNames.length]
+          : "software";
+        return template(job, skill);
+      });
+
+      return { company: job.company, title: job.title || title, details };
+    });
+
+    return { title, summary, skills, experience };
+  },
+});
@@ -0,0 +1,55 @@
+import { ApiError } from "../errors";
+import { parseLenientJson } from "../lenientJson";
+import { buildTailorMessages } from "./prompt";
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_MODEL = "gpt-5-mini";
+const REQUEST_TIMEOUT_MS = 50000;
+
+// Any OpenAI-compatible /chat/completions endpoint (OpenAI, Azure proxies,
+// OpenRouter, local servers) can be used by setting OPENAI_BASE_URL
+export const createOpenAIProvider = ({
+  apiKey = process.env.OPENAI_API_KEY,
+  model = process.env.OPENAI_MODEL || DEFAULT_MODEL,
+  baseUrl = process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL,
+} = {}) => {
+  if (!apiKey) {
+    throw new ApiError("NOT_CONFIGURED", "OPENAI_API_KEY is not set. Configure it or use TAILOR_PROVIDER=mock.");
+  }
+
+  return {
+    name: "openai",
+    model,
+
+    async tailor(input) {
+      const response = await fetch(`${baseUrl.replace(/\/+$/, "")}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${apiKey}`,
+        },
+        body: JSON.stringify({
+          model,
+          messages: buildTailorMessages(input),
+          response_format: { type: "json_object" },
+        }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`LLM request failed (${response.status}): ${errorText.substring(0, 300)}`);
+      }
+
+      const completion = await response.json();
+      const content = completion.choices?.[0]?.message?.content;
+      if (!content) {
+        throw new Error("LLM returned an empty response");
+      }
+
+      const { value, repairs } = parseLenientJson(content);
+      if (repairs.length > 0) console.log("🔧 Repaired LLM output:", repairs.join(", "));
+      return value;
+    },
+  };
+};
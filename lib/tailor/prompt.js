@@ -0,0 +1,36 @@
+// Build chat messages asking the model to tailor a profile to a job description.
+// Experience entries echo each job's company (and id) so they can be matched back.
+export const buildTailorMessages = ({ profileData, jobDescription, company, role }) => {
+  const jobs = (profileData.experience || []).map((job, idx) => ({
+    index: idx,
+    ...(job.id ? { id: job.id } : {}),
+    company: job.company,
+    title: job.title || "",
+    start_date: job.start_date,
+    end_date: job.end_date,
+    existing_details: job.details || [],
+  }));
+
+  const system = [
+    "You are an expert technical resume writer.",
+    "Tailor the candidate's resume to the job description without inventing employers, dates or degrees.",
+    "Respond with a single JSON object and nothing else, using exactly this shape:",
+    '{"title": string, "summary": string, "skills": {"<Category>": [string, ...]}, "experience": [{"company": string, "title": string, "details": [string, ...]}]}',
+    `The experience array must contain exactly ${jobs.length} entries in the same order as the candidate's jobs.`,
+    "Copy each job's company (and id, when it has one) into its experience entry unchanged.",
+    "Write 3-6 achievement-focused bullet points per job, emphasising skills the job description asks for.",
+  ].join("\n");
+
+  const user = [
+    company ? `Target company: ${company}` : null,
+    role ? `Target role: ${role}` : null,
+    `Candidate: ${profileData.name}`,
+    `Candidate jobs (most recent first):\n${JSON.stringify(jobs, null, 2)}`,
+    `Job description:\n${jobDescription}`,
+  ].filter(Boolean).join("\n\n");
+
+  return [
+    { role: "system", content: system },
+    { role: "user", content: user },
+  ];
+};
@@ -0,0 +1,107 @@
+import fs from "fs";
+import path from "path";
+import Handlebars from "handlebars";
+import { createVersionedCache, fileVersion } from "./cache";
+import { parseMargin } from "./theme";
+
+export const DEFAULT_TEMPLATE = "resume";
+
+// Document types a template can render, with the template used when none is picked
+export const DOCUMENT_TYPES = {
+  resume: { defaultTemplate: DEFAULT_TEMPLATE },
+  "cover-letter": { defaultTemplate: "cover-letter" },
+};
+
+const DEFAULT_PAGE_SIZE = "A4";
+const DEFAULT_MARGIN = "15mm 18mm 15mm 18mm";
+
+const getTemplatesDir = () => path.join(process.cwd(), "templates");
+
+// Register Handlebars helpers once for every template
+let helpersRegistered = false;
+
+const registerHelpers = () => {
+  if (helpersRegistered) return;
+
+  Handlebars.registerHelper('formatKey', function(key) {
+    return key;
+  });
+
+  Handlebars.registerHelper('join', function(array, separator) {
+    if (Array.isArray(array)) {
+      return array.join(separator);
+    }
+    return '';
+  });
+
+  // {{#if (oneOf id "skills" "education")}} - the last argument is Handlebars' options
+  Handlebars.registerHelper('oneOf', function(value, ...candidates) {
+    return candidates.slice(0, -1).includes(value);
+  });
+
+  helpersRegistered = true;
+};
+
+// Templates describe themselves with <meta name="template:*" content="..."> tags
+const readMeta = (source, key) => {
+  const regex = new RegExp(`<meta\\s+name=["']template:${key}["']\\s+content=["']([^"']*)["']`, "i");
+  return source.match(regex)?.[1]?.trim() || "";
+};
+
+// Parsed and compiled templates by file name, recompiled when the file's mtime changes
+const templateCache = createVersionedCache("templates");
+
+const readTemplateInfo = (file) => {
+  const filePath = path.join(getTemplatesDir(), file);
+
+  return templateCache.get(file, fileVersion(filePath), () => {
+    if (!fs.existsSync(filePath)) return null;
+
+    registerHelpers();
+    const source = fs.readFileSync(filePath, "utf-8");
+
+    return {
+      id: path.basename(file, ".html").toLowerCase(),
+      file,
+      name: readMeta(source, "name") || path.basename(file, ".html"),
+      type: readMeta(source, "type") || "resume",
+      description: readMeta(source, "description"),
+      pageSize: readMeta(source, "page-size") || DEFAULT_PAGE_SIZE,
+      margin: parseMargin(readMeta(source, "margin") || DEFAULT_MARGIN),
+      source,
+      render: Handlebars.compile(source),
+    };
+  });
+};
+
+// Every templates/*.html file is a selectable layout; pass a document type
+// ("resume", "cover-letter") to only list layouts for that type
+export const listTemplates = (type) => {
+  const files = fs.readdirSync(getTemplatesDir())
+    .filter(file => file.endsWith(".html"))
+    .sort();
+
+  return files
+    .map(readTemplateInfo)
+    .filter(info => info && (!type || info.type === type))
+    .map(({ source, render, ...info }) => info);
+};
+
+// Look a template of the given document type up by id ("resume", "modern") or
+// display name ("Classic")
+export const getTemplate = (idOrName, type = "resume") => {
+  const key = String(idOrName || DOCUMENT_TYPES[type]?.defaultTemplate || DEFAULT_TEMPLATE).toLowerCase();
+
+  const match = listTemplates(type).find(t => t.id === key || t.name.toLowerCase() === key);
+  if (!match) {
+    return null;
+  }
+
+  const entry = readTemplateInfo(match.file);
+  if (!entry) {
+    return null;
+  }
+
+  const { source, ...template } = entry;
+  return template;
+};
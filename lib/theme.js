@@ -0,0 +1,79 @@
+// Look of a generated document: paper size, page margins, font, accent color
+// and header alignment. Templates declare their defaults as CSS variables in
+// :root; a theme overrides those variables and the PDF page box.
+// Kept free of server-only imports so the UI can use the option lists.
+
+export const PAPER_SIZES = ["A4", "Letter", "Legal"];
+
+export const HEADER_ALIGNMENTS = ["left", "center", "right"];
+
+// Offered in the UI; any CSS font-family list is accepted
+export const FONT_FAMILIES = {
+  Arial: '"Arial", "Helvetica", sans-serif',
+  Calibri: '"Calibri", "Carlito", "Segoe UI", Arial, sans-serif',
+  Cambria: '"Cambria", "Caladea", Georgia, serif',
+  Garamond: '"EB Garamond", Garamond, Georgia, serif',
+  Georgia: '"Georgia", serif',
+  Helvetica: '"Helvetica Neue", "Helvetica", Arial, sans-serif',
+  "Times New Roman": '"Times New Roman", Times, serif',
+};
+
+export const THEME_FIELDS = ["paperSize", "margin", "fontFamily", "fontSize", "accentColor", "headerAlign"];
+
+// "15mm 0mm" / "15mm 0mm 15mm 0mm" -> Puppeteer margin object (CSS shorthand order)
+export const parseMargin = (value) => {
+  const parts = String(value).trim().split(/\s+/);
+  const [top, right = top, bottom = top, left = right] = parts;
+  return { top, right, bottom, left };
+};
+
+// The profile's `theme` defaults, with the request's theme winning field by field
+export const resolveTheme = (profileTheme, options) => {
+  const theme = {};
+  for (const field of THEME_FIELDS) {
+    const value = options?.[field] ?? profileTheme?.[field];
+    if (value !== undefined && value !== null && value !== "") theme[field] = value;
+  }
+  return theme;
+};
+
+// Theme field -> [CSS variable, value formatter]
+const CSS_VARIABLES = {
+  fontFamily: ["--font-family", value => value],
+  fontSize: ["--font-size", value => `${value}pt`],
+  accentColor: ["--accent-color", value => value],
+  headerAlign: ["--header-align", value => value],
+};
+
+const themeStyle = (theme) => {
+  const declarations = Object.entries(CSS_VARIABLES)
+    .filter(([field]) => theme[field] !== undefined)
+    .map(([field, [name, format]]) => `${name}: ${format(theme[field])};`);
+  return declarations.length > 0 ? `:root { ${declarations.join(" ")} }` : "";
+};
+
+// Add a <style> block at the end of <head>, after the template's own styles so
+// its rules win on equal specificity (themes, previews, page fitting)
+export const injectStyle = (html, css) => {
+  const style = `<style>${css}</style>`;
+  return html.includes("</head>") ? html.replace("</head>", `${style}</head>`) : style + html;
+};
+
+// The template with its page size, margins and rendered HTML following the
+// theme. PDF rendering, previews, page fitting and DOCX page sizes all read
+// these fields, so nothing downstream needs to know about themes.
+export const applyTheme = (template, theme = {}) => {
+  if (Object.keys(theme).length === 0) return template;
+
+  const style = themeStyle(theme);
+  return {
+    ...template,
+    pageSize: theme.paperSize || template.pageSize,
+    margin: theme.margin ? parseMargin(theme.margin) : template.margin,
+    theme,
+    render: (data) => {
+      const html = template.render(data);
+      return style ? injectStyle(html, style) : html;
+    },
+  };
+};
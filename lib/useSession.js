@@ -0,0 +1,47 @@
+import { useEffect, useState } from "react";
+import { apiErrorFrom } from "./errors";
+
+// Client side: the signed-in user for pages. middleware.js already sends
+// visitors without a session cookie to /login; this also catches expired or
+// revoked sessions.
+export const redirectToLogin = () => {
+  const next = `${window.location.pathname}${window.location.search}`;
+  window.location.assign(`/login?next=${encodeURIComponent(next)}`);
+};
+
+// Client side: fetch -> parsed JSON. A 401 means the session expired or was
+// revoked (the cookie is still there, so middleware.js let the page load):
+// go to /login. Other failures throw like apiErrorFrom.
+export const fetchJson = async (url, { fallbackMessage = "Request failed", ...options } = {}) => {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    if (response.status === 401) redirectToLogin();
+    throw await apiErrorFrom(response, fallbackMessage);
+  }
+  return response.json();
+};
+
+export const signOut = async () => {
+  await fetch("/api/auth/logout", { method: "POST" }).catch(() => {});
+  window.location.assign("/login");
+};
+
+// -> { user, authDisabled, oidc } once loaded, null before
+export const useSession = () => {
+  const [session, setSession] = useState(null);
+
+  useEffect(() => {
+    fetch("/api/auth/session")
+      .then(res => res.json())
+      .then(data => {
+        if (!data.user && !data.authDisabled) {
+          redirectToLogin();
+          return;
+        }
+        setSession(data);
+      })
+      .catch(err => console.error("Failed to load session:", err));
+  }, []);
+
+  return session;
+};
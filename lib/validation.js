@@ -0,0 +1,142 @@
+import { matchExperience } from "./experience";
+import { profileSchema, completedResumeSchema, coverLetterSchema, generationOptionsSchema } from "./schemas";
+
+// String formats -> pattern and what to call a value that doesn't match
+const FORMATS = {
+  email: { regex: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, label: "email address" },
+  color: { regex: /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i, label: "hex color (e.g. #2b6cb0)" },
+  margin: { regex: /^(?:\d*\.?\d+(?:mm|cm|in|pt|px)|0)(?:\s+(?:\d*\.?\d+(?:mm|cm|in|pt|px)|0)){0,3}$/, label: "margin (1-4 lengths, e.g. 15mm 18mm)" },
+  // Family names only - the value ends up inside a <style> block
+  "font-family": { regex: /^[\w\s,"'-]+$/, label: "font family list" },
+};
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+};
+
+// experience[2].details / skills["Cloud & DevOps"]
+const joinPath = (base, key) => {
+  if (typeof key === "number") return `${base}[${key}]`;
+  if (/^[A-Za-z_$][\w$]*$/.test(key)) return base ? `${base}.${key}` : key;
+  return `${base}[${JSON.stringify(key)}]`;
+};
+
+const describe = (path) => path || "document";
+
+// Validate a value against a schema and return [{ path, message }]
+export const validateSchema = (schema, value, path = "") => {
+  const errors = [];
+  const actual = typeOf(value);
+  const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const matchesType = allowed.includes(actual) || (allowed.includes("integer") && Number.isInteger(value));
+
+  if (schema.type && !matchesType) {
+    errors.push({ path: describe(path), message: `must be ${allowed.join(" or ")}, got ${actual}` });
+    return errors;
+  }
+
+  if (actual === "string") {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push({ path: describe(path), message: "must not be empty" });
+    } else if (schema.format && !FORMATS[schema.format].regex.test(value)) {
+      errors.push({ path: describe(path), message: `"${value}" is not a valid ${FORMATS[schema.format].label}` });
+    }
+  }
+
+  if (actual === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: describe(path), message: `must be at least ${schema.minimum}` });
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: describe(path), message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: describe(path), message: `must be one of: ${schema.enum.join(", ")}` });
+  }
+
+  if (actual === "array") {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path: describe(path), message: `must contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, idx) => errors.push(...validateSchema(schema.items, item, joinPath(path, idx))));
+    }
+  }
+
+  if (actual === "object") {
+    const keys = Object.keys(value);
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ path: joinPath(path, key), message: "is required" });
+      }
+    }
+    if (schema.minProperties && keys.length < schema.minProperties) {
+      errors.push({ path: describe(path), message: `must contain at least ${schema.minProperties} entr${schema.minProperties === 1 ? "y" : "ies"}` });
+    }
+    for (const key of keys) {
+      if (value[key] === undefined || value[key] === null) continue;
+      const propertySchema = schema.properties?.[key] || schema.additionalProperties;
+      if (propertySchema) {
+        errors.push(...validateSchema(propertySchema, value[key], joinPath(path, key)));
+      }
+    }
+  }
+
+  return errors;
+};
+
+const result = (errors, warnings = []) => ({ valid: errors.length === 0, errors, warnings });
+
+export const validateProfile = (profileData) => result(validateSchema(profileSchema, profileData));
+
+export const validateCoverLetter = (content) => result(validateSchema(coverLetterSchema, content));
+
+export const validateGenerationOptions = (options) => result(validateSchema(generationOptionsSchema, options));
+
+const describeEntry = (entry) => (entry.company ? `"${entry.company}"` : entry.id ? `id "${entry.id}"` : "entry");
+
+// Validate completed resume JSON. When profile data is supplied, also check
+// every visible profile job gets bullets: a matching experience entry (by id,
+// company or position) or the job's own default details.
+export const validateCompletedResume = (resumeContent, profileData, { hiddenJobs } = {}) => {
+  const errors = validateSchema(completedResumeSchema, resumeContent);
+  const warnings = [];
+
+  const tailored = resumeContent?.experience;
+  const jobs = profileData?.experience;
+  if (!Array.isArray(tailored) || !Array.isArray(jobs)) {
+    return result(errors, warnings);
+  }
+
+  const match = matchExperience(jobs, tailored, { hiddenJobs });
+
+  match.jobs.filter(slot => !slot.entry && !slot.hidden).forEach(({ job, index }) => {
+    if (job.details?.length) {
+      warnings.push({
+        path: "experience",
+        message: `has no entry for ${job.company} (profile job ${index + 1}); using the profile's default bullets`,
+      });
+    } else {
+      errors.push({
+        path: "experience",
+        message: `has no entry for ${job.company} (profile job ${index + 1}) and the profile has no default bullets for it`,
+      });
+    }
+  });
+
+  match.unmatched.forEach(({ entry, entryIndex }) => {
+    warnings.push({
+      path: `experience[${entryIndex}]`,
+      message: entryIndex >= jobs.length && !entry.company && !entry.id
+        ? `is an extra entry and will be ignored (profile has ${jobs.length} jobs)`
+        : `${describeEntry(entry)} does not match any job in the profile and will be ignored`,
+    });
+  });
+
+  return result(errors, warnings);
+};
+
+export const formatValidationErrors = (errors) => errors.map(({ path, message }) => `${path} ${message}`);
@@ -0,0 +1,51 @@
+import { NextResponse } from "next/server";
+
+// Same name as SESSION_COOKIE in lib/auth/sessions.js
+const SESSION_COOKIE = "resume_session";
+
+const base64urlBytes = (text) => Uint8Array.from(atob(text.replace(/-/g, "+").replace(/_/g, "/")), c => c.charCodeAt(0));
+
+// verifyToken from lib/auth/sessions.js with Web Crypto, as the edge runtime
+// has no Node crypto. API routes still look the user up on every request.
+// Without AUTH_SECRET the server signs with a random per-process secret this
+// can't see, so only the cookie's presence is checked.
+const hasValidSession = async (token) => {
+  if (!token) return false;
+  const secret = process.env.AUTH_SECRET;
+  if (!secret) return true;
+
+  const [body, signature] = token.split(".");
+  if (!body || !signature) return false;
+
+  try {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey("raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["verify"]);
+    if (!(await crypto.subtle.verify("HMAC", key, base64urlBytes(signature), encoder.encode(body)))) return false;
+    const payload = JSON.parse(new TextDecoder().decode(base64urlBytes(body)));
+    return payload.exp > Date.now();
+  } catch (error) {
+    return false;
+  }
+};
+
+// Pages need a session: send signed-out visitors (or ones whose cookie is
+// forged or expired) to /login and back afterwards
+export async function middleware(request) {
+  const token = request.cookies.get(SESSION_COOKIE)?.value;
+  if (process.env.AUTH_DISABLED === "true" || (await hasValidSession(token))) {
+    return NextResponse.next();
+  }
+
+  const { pathname, search } = request.nextUrl;
+  const url = request.nextUrl.clone();
+  url.pathname = "/login";
+  url.search = pathname === "/" ? "" : `?next=${encodeURIComponent(pathname + search)}`;
+  const response = NextResponse.redirect(url);
+  if (token) response.cookies.delete(SESSION_COOKIE);
+  return response;
+}
+
+// API routes answer 401 themselves; the login page and assets stay public
+export const config = {
+  matcher: ["/((?!api|_next|login|favicon.ico).*)"],
+};
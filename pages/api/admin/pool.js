@@ -0,0 +1,15 @@
+import { withAuth } from "../../../lib/auth";
+import { methodNotAllowed } from "../../../lib/errors";
+import { getJobQueue } from "../../../lib/jobs";
+import { getBrowserPool } from "../../../lib/pdf";
+
+// GET -> PDF browser pool counters, the timing of the last render and the
+// render job queue (under `jobs`)
+function handler(req, res) {
+  if (req.method !== "GET") return methodNotAllowed(res, ["GET"]);
+
+  res.status(200).json({ ...getBrowserPool().getStats(), jobs: getJobQueue().getStats() });
+}
+
+// Admins, or scripts sending ADMIN_TOKEN
+export default withAuth(handler, { role: "admin" });
@@ -0,0 +1,15 @@
+import { withAuth } from "../../../lib/auth";
+import { methodNotAllowed } from "../../../lib/errors";
+import { clearCaches } from "../../../lib/cache";
+
+// POST -> drop every cached profile and template so the next request rereads them from disk
+function handler(req, res) {
+  if (req.method !== "POST") return methodNotAllowed(res, ["POST"]);
+
+  const caches = clearCaches();
+  console.log("🔄 Caches cleared:", caches.map(c => `${c.name}=${c.cleared}`).join(", "));
+  res.status(200).json({ reloaded: true, caches });
+}
+
+// Admins, or scripts sending ADMIN_TOKEN
+export default withAuth(handler, { role: "admin" });
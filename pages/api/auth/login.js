@@ -0,0 +1,33 @@
+import { isAuthDisabled, startSession } from "../../../lib/auth";
+import { publicUser, verifyCredentials } from "../../../lib/auth/users";
+import { handleRouteError, methodNotAllowed, sendError } from "../../../lib/errors";
+
+// POST { username, password } -> { user } and a session cookie
+export default async function handler(req, res) {
+  if (req.method !== "POST") return methodNotAllowed(res, ["POST"]);
+
+  const { username, password } = req.body || {};
+  if (!username || !password) {
+    return sendError(res, "MISSING_FIELD", "Username and password required", [
+      ...(!username ? [{ path: "username", message: "is required" }] : []),
+      ...(!password ? [{ path: "password", message: "is required" }] : []),
+    ]);
+  }
+  if (isAuthDisabled()) {
+    return sendError(res, "INVALID_REQUEST", "Sign-in is turned off (AUTH_DISABLED=true)");
+  }
+
+  try {
+    const user = await verifyCredentials(username, password);
+    if (!user) {
+      console.warn(`🔒 Failed sign-in for "${String(username)}"`);
+      return sendError(res, "UNAUTHORIZED", "Invalid username or password");
+    }
+
+    startSession(req, res, user);
+    console.log(`🔐 Signed in: ${user.username} (${user.role})`);
+    res.status(200).json({ user: publicUser(user) });
+  } catch (error) {
+    handleRouteError(res, error, { action: "Sign-in" });
+  }
+}
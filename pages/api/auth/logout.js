@@ -0,0 +1,10 @@
+import { endSession } from "../../../lib/auth";
+import { methodNotAllowed } from "../../../lib/errors";
+
+// POST -> clears the session cookie
+export default function handler(req, res) {
+  if (req.method !== "POST") return methodNotAllowed(res, ["POST"]);
+
+  endSession(req, res);
+  res.status(200).json({ signedOut: true });
+}
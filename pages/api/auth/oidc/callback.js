@@ -0,0 +1,16 @@
+import { startSession } from "../../../../lib/auth";
+import { completeOidcLogin } from "../../../../lib/auth/oidc";
+
+// GET (redirect from the provider) -> signed in and back to the page that
+// started the login, or to /login with the reason it failed
+export default async function handler(req, res) {
+  try {
+    const { user, next } = await completeOidcLogin(req, res);
+    startSession(req, res, user);
+    console.log(`🔐 Signed in with single sign-on: ${user.username} (${user.role})`);
+    res.redirect(302, next);
+  } catch (error) {
+    console.warn("🔒 Single sign-on failed:", error.message);
+    res.redirect(302, `/login?error=${encodeURIComponent(error.message)}`);
+  }
+}
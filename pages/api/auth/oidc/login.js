@@ -0,0 +1,16 @@
+import { beginOidcLogin, isOidcEnabled } from "../../../../lib/auth/oidc";
+import { handleRouteError, methodNotAllowed, sendError } from "../../../../lib/errors";
+
+// GET ?next=/path -> redirect to the OIDC provider
+export default async function handler(req, res) {
+  if (req.method !== "GET") return methodNotAllowed(res, ["GET"]);
+  if (!isOidcEnabled()) {
+    return sendError(res, "NOT_CONFIGURED", "Single sign-on is not configured. Set OIDC_ISSUER and OIDC_CLIENT_ID.");
+  }
+
+  try {
+    res.redirect(302, await beginOidcLogin(req, res, req.query.next));
+  } catch (error) {
+    handleRouteError(res, error, { action: "Single sign-on", code: "NOT_CONFIGURED" });
+  }
+}
@@ -0,0 +1,20 @@
+import { getRequestUser, isAuthDisabled } from "../../../lib/auth";
+import { isOidcEnabled, oidcLabel } from "../../../lib/auth/oidc";
+import { handleRouteError, methodNotAllowed } from "../../../lib/errors";
+
+// GET -> { user, authDisabled, oidc: { enabled, label } }; user is null when
+// signed out. Open to everyone so the login page can use it.
+export default async function handler(req, res) {
+  if (req.method !== "GET") return methodNotAllowed(res, ["GET"]);
+
+  try {
+    res.setHeader("Cache-Control", "no-store");
+    res.status(200).json({
+      user: await getRequestUser(req),
+      authDisabled: isAuthDisabled(),
+      oidc: { enabled: isOidcEnabled(), label: oidcLabel() },
+    });
+  } catch (error) {
+    handleRouteError(res, error, { action: "Loading session" });
+  }
+}
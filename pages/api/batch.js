@@ -0,0 +1,42 @@
+import { withAuth } from "../../lib/auth";
+import { buildBatchFilename, buildBatchZip, runBatch } from "../../lib/batch";
+import { handleRouteError, methodNotAllowed, sendError } from "../../lib/errors";
+
+// Batches carry one completed resume JSON per item
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: "4mb" },
+  },
+};
+
+// POST { items: [{ profile, jd }], company, role, template?, format? }
+//   or { profiles: [...], jobDescription, company, role, template?, format? }
+// -> ZIP of rendered resumes plus manifest.json with the result of every item
+async function handler(req, res) {
+  if (req.method !== "POST") return methodNotAllowed(res, ["POST"]);
+
+  try {
+    const body = req.body || {};
+    const batch = await runBatch(body, { user: req.user });
+    const { manifest } = batch;
+
+    console.log(`📦 Batch finished: ${manifest.succeeded}/${manifest.total} succeeded`);
+
+    if (manifest.succeeded === 0) {
+      const details = manifest.items.map(item => ({ path: `items[${item.index}]`, message: item.error.message }));
+      return sendError(res, "BATCH_FAILED", "No resumes could be generated", details, { manifest });
+    }
+
+    const zip = await buildBatchZip(batch);
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="${buildBatchFilename(body.company, body.role)}"`);
+    res.setHeader("X-Batch-Succeeded", String(manifest.succeeded));
+    res.setHeader("X-Batch-Failed", String(manifest.failed));
+    res.end(zip);
+  } catch (err) {
+    handleRouteError(res, err, { action: "Batch generation", code: "RENDER_FAILED" });
+  }
+}
+
+export default withAuth(handler);
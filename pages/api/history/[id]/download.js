@@ -0,0 +1,25 @@
+import { canViewHistoryEntry, withAuth } from "../../../../lib/auth";
+import { getOutputFormat } from "../../../../lib/export";
+import { handleRouteError, methodNotAllowed, sendError } from "../../../../lib/errors";
+import { getHistoryArtifact, getHistoryEntry } from "../../../../lib/history";
+
+// GET -> the file exactly as it was generated
+function handler(req, res) {
+  if (req.method !== "GET") return methodNotAllowed(res, ["GET"]);
+
+  try {
+    const entry = getHistoryEntry(req.query.id);
+    if (!entry || !canViewHistoryEntry(req.user, entry)) return sendError(res, "HISTORY_NOT_FOUND", `History entry "${req.query.id}" not found`);
+
+    const artifact = getHistoryArtifact(entry);
+    if (!artifact) return sendError(res, "HISTORY_FILE_GONE", `The stored file for "${entry.filename}" is no longer available`);
+
+    res.setHeader("Content-Type", getOutputFormat(entry.format)?.contentType || "application/octet-stream");
+    res.setHeader("Content-Disposition", `attachment; filename="${entry.filename}"`);
+    res.end(artifact);
+  } catch (error) {
+    handleRouteError(res, error, { action: "History download" });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,31 @@
+import { canViewHistoryEntry, withAuth } from "../../../../lib/auth";
+import { handleRouteError, methodNotAllowed, sendError } from "../../../../lib/errors";
+import { deleteHistoryEntry, getHistoryEntry } from "../../../../lib/history";
+
+// GET    -> entry including the completed resume JSON
+// DELETE -> remove the entry and its stored file
+function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    const entry = getHistoryEntry(id);
+    const visible = Boolean(entry) && canViewHistoryEntry(req.user, entry);
+
+    if (req.method === "GET") {
+      if (!visible) return sendError(res, "HISTORY_NOT_FOUND", `History entry "${id}" not found`);
+      return res.status(200).json(entry);
+    }
+
+    if (req.method === "DELETE") {
+      if (!visible || !deleteHistoryEntry(id)) return sendError(res, "HISTORY_NOT_FOUND", `History entry "${id}" not found`);
+      console.log(`🗑️ Deleted history entry: ${id}`);
+      return res.status(200).json({ id, deleted: true });
+    }
+
+    methodNotAllowed(res, ["GET", "DELETE"]);
+  } catch (error) {
+    handleRouteError(res, error, { action: "History request" });
+  }
+}
+
+export default withAuth(handler);
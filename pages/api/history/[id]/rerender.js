@@ -0,0 +1,38 @@
+import { canViewHistoryEntry, withAuth } from "../../../../lib/auth";
+import { generateResume, sendGenerated } from "../../../../lib/generate";
+import { getHistoryEntry, recordGeneration } from "../../../../lib/history";
+import { handleRouteError, methodNotAllowed, sendError } from "../../../../lib/errors";
+
+// POST { template?, format?, sections?, hiddenJobs?, theme?, maxPages?, trimBullets? }
+// -> render the stored resume JSON again with the current profile and templates
+// (options default to the entry's own), record it as a new entry and return the file
+async function handler(req, res) {
+  if (req.method !== "POST") return methodNotAllowed(res, ["POST"]);
+
+  try {
+    const entry = getHistoryEntry(req.query.id);
+    if (!entry || !canViewHistoryEntry(req.user, entry)) return sendError(res, "HISTORY_NOT_FOUND", `History entry "${req.query.id}" not found`);
+
+    const {
+      template = entry.template,
+      format = entry.format,
+      sections = entry.sections,
+      hiddenJobs = entry.hiddenJobs,
+      theme = entry.theme,
+      maxPages = entry.fit?.maxPages,
+      trimBullets = entry.fit?.trimBullets,
+    } = req.body || {};
+    // Entries recorded before cover letters existed have no type
+    const { profile, company, role, jd, type = "resume" } = entry;
+
+    const result = await generateResume({ profile, jd, company, role, template, format, type, sections, hiddenJobs, theme, maxPages, trimBullets });
+    const rerendered = recordGeneration({ profile, company, role, jd, sections, hiddenJobs, theme, source: "rerender", rerenderOf: entry.id, user: req.user.username }, result);
+    console.log(`♻️ Re-rendered ${entry.id} as ${result.filename}`);
+
+    sendGenerated(res, result, rerendered?.id);
+  } catch (err) {
+    handleRouteError(res, err, { action: "Re-render", code: "RENDER_FAILED" });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,18 @@
+import { canViewHistoryEntry, withAuth } from "../../../lib/auth";
+import { handleRouteError, methodNotAllowed } from "../../../lib/errors";
+import { listHistory } from "../../../lib/history";
+
+// GET ?q=&profile=&company=&role=&limit=&offset= -> { total, items }
+function handler(req, res) {
+  if (req.method !== "GET") return methodNotAllowed(res, ["GET"]);
+
+  try {
+    const { q, profile, company, role, user, limit, offset } = req.query;
+    const visible = (entry) => canViewHistoryEntry(req.user, entry);
+    res.status(200).json(listHistory({ q, profile, company, role, user, limit, offset, visible }));
+  } catch (error) {
+    handleRouteError(res, error, { action: "Loading history" });
+  }
+}
+
+export default withAuth(handler);
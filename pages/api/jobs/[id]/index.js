@@ -0,0 +1,16 @@
+import { withAuth } from "../../../../lib/auth";
+import { methodNotAllowed, sendError } from "../../../../lib/errors";
+import { describeJob, getRenderJob } from "../../../../lib/jobs";
+
+// GET -> { id, status: queued|rendering|done|failed, position?, timing, ... }
+function handler(req, res) {
+  if (req.method !== "GET") return methodNotAllowed(res, ["GET"]);
+
+  const job = getRenderJob(req.query.id, req.user);
+  if (!job) return sendError(res, "JOB_NOT_FOUND", `Render job "${req.query.id}" not found or expired`);
+
+  res.setHeader("Cache-Control", "no-store");
+  res.status(200).json(describeJob(job));
+}
+
+export default withAuth(handler);
@@ -0,0 +1,20 @@
+import { withAuth } from "../../../../lib/auth";
+import { methodNotAllowed, sendError } from "../../../../lib/errors";
+import { sendGenerated } from "../../../../lib/generate";
+import { getRenderJob } from "../../../../lib/jobs";
+
+// GET -> the rendered file with the same headers as /api/generate, the job's
+// error if it failed, or 409 JOB_NOT_READY while it is still queued or rendering
+function handler(req, res) {
+  if (req.method !== "GET") return methodNotAllowed(res, ["GET"]);
+
+  const job = getRenderJob(req.query.id, req.user);
+  if (!job) return sendError(res, "JOB_NOT_FOUND", `Render job "${req.query.id}" not found or expired`);
+
+  if (job.status === "failed") return sendError(res, job.error.code, job.error.message, job.error.details);
+  if (job.status !== "done") return sendError(res, "JOB_NOT_READY", `Render job "${job.id}" is still ${job.status}`);
+
+  sendGenerated(res, job.result, job.result.historyId);
+}
+
+export default withAuth(handler);
@@ -0,0 +1,19 @@
+import { withAuth } from "../../../lib/auth";
+import { handleRouteError, methodNotAllowed } from "../../../lib/errors";
+import { describeJob, submitRenderJob } from "../../../lib/jobs";
+
+// POST (same body as /api/generate) -> 202 with the queued job. Poll
+// /api/jobs/:id until it is done, then download /api/jobs/:id/result.
+function handler(req, res) {
+  if (req.method !== "POST") return methodNotAllowed(res, ["POST"]);
+
+  try {
+    const job = submitRenderJob(req.body, { user: req.user });
+    res.setHeader("Location", `/api/jobs/${job.id}`);
+    res.status(202).json(describeJob(job));
+  } catch (err) {
+    handleRouteError(res, err, { action: "Render job submission" });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,25 @@
+import { canAccessProfile, withAuth } from "../../../lib/auth";
+import { handleRouteError, methodNotAllowed, missingField, sendApiError, sendError } from "../../../lib/errors";
+import { toJsonResume } from "../../../lib/jsonResume";
+import { loadProfile } from "../../../lib/profiles";
+
+// GET ?id=X -> the profile as a JSON Resume document (resume.json)
+function handler(req, res) {
+  if (req.method !== "GET") return methodNotAllowed(res, ["GET"]);
+
+  try {
+    const { id } = req.query;
+    if (!id) return sendApiError(res, missingField("id", "Profile id required"));
+
+    const profile = canAccessProfile(req.user, id) ? loadProfile(id) : null;
+    if (!profile) return sendError(res, "PROFILE_NOT_FOUND", `Profile "${id}" not found`);
+
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${id}.resume.json"`);
+    res.status(200).send(JSON.stringify(toJsonResume(profile), null, 2) + "\n");
+  } catch (err) {
+    handleRouteError(res, err, { action: "JSON Resume export" });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,50 @@
+import { withAuth } from "../../../lib/auth";
+import { handleRouteError, methodNotAllowed, missingField, sendApiError, sendError } from "../../../lib/errors";
+import { fromJsonResume, isJsonResume } from "../../../lib/jsonResume";
+import { parseLenientJson, repairWarnings } from "../../../lib/lenientJson";
+import { profileIdFromName } from "../../../lib/profiles";
+import { validateProfile } from "../../../lib/validation";
+
+// POST { resume } - a JSON Resume document, as an object or pasted JSON
+// -> { id, data, warnings, validation }. Nothing is saved: review the profile
+// and POST it to /api/profiles.
+function handler(req, res) {
+  if (req.method !== "POST") return methodNotAllowed(res, ["POST"]);
+
+  const { resume } = req.body || {};
+  if (!resume) return sendApiError(res, missingField("resume", "JSON Resume document required"));
+
+  let document = resume;
+  let repairs = [];
+  if (typeof resume === "string") {
+    try {
+      ({ value: document, repairs } = parseLenientJson(resume));
+    } catch (parseError) {
+      return sendError(res, "INVALID_REQUEST", `JSON Resume document could not be parsed. ${parseError.message}`, [parseError.detail("resume")]);
+    }
+  }
+
+  if (!isJsonResume(document)) {
+    const hint = Array.isArray(document?.experience) ? " It looks like a profile already - save it with POST /api/profiles." : "";
+    return sendError(res, "INVALID_REQUEST", `Not a JSON Resume document: expected "basics" or "work".${hint}`, [
+      { path: "resume", message: "must be a JSON Resume document (https://jsonresume.org/schema)" },
+    ]);
+  }
+
+  try {
+    const { profile, warnings } = fromJsonResume(document);
+    const validation = validateProfile(profile);
+    console.log(`📥 Imported JSON Resume for "${profile.name}" (${profile.experience.length} jobs, ${validation.valid ? "valid" : `${validation.errors.length} problems`})`);
+
+    res.status(200).json({
+      id: profileIdFromName(profile.name) || null,
+      data: profile,
+      warnings: [...repairWarnings("resume", repairs), ...warnings],
+      validation: { valid: validation.valid, errors: validation.errors },
+    });
+  } catch (err) {
+    handleRouteError(res, err, { action: "JSON Resume import" });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,25 @@
+import { requireProfileAccess, withAuth } from "../../lib/auth";
+import { handleRouteError, methodNotAllowed } from "../../lib/errors";
+import { renderPreview } from "../../lib/preview";
+
+// Render the resume HTML exactly as /api/generate would, without the PDF step
+function handler(req, res) {
+  if (req.method !== "POST") return methodNotAllowed(res, ["POST"]);
+
+  try {
+    const { profile, jd, template, company, role, type = "resume", sections, hiddenJobs, theme } = req.body || {};
+    requireProfileAccess(req.user, profile);
+    const { html, warnings } = renderPreview({ profile, jd, template, company, role, type, sections, hiddenJobs, theme });
+
+    if (warnings.length > 0) {
+      res.setHeader("X-Resume-Warnings", encodeURIComponent(JSON.stringify(warnings)));
+    }
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader("Cache-Control", "no-store");
+    res.status(200).send(html);
+  } catch (err) {
+    handleRouteError(res, err, { action: "Preview", code: "RENDER_FAILED" });
+  }
+}
+
+export default withAuth(handler);
@@ -1,23 +1,107 @@
-import fs from "fs";
-import path from "path";
+import {
+  deleteProfile,
+  isValidProfileId,
+  listProfiles,
+  loadProfile,
+  profileExists,
+  profileIdFromName,
+  saveProfile
+} from "../../lib/profiles";
+import { canAccessProfile, isAdmin, withAuth } from "../../lib/auth";
+import { assignProfile, unassignProfile } from "../../lib/auth/users";
+import { validateProfile } from "../../lib/validation";
+import { handleRouteError, methodNotAllowed, missingField, sendApiError, sendError } from "../../lib/errors";
 
-export default function handler(req, res) {
+// GET             -> [{ id, name }]
+// GET    ?id=X    -> { id, data }
+// POST   { id?, data } -> create (id defaults to the name, e.g. "Jane_Doe")
+// PUT    ?id=X { data } -> replace
+// DELETE ?id=X    (admins only)
+// Recruiters only see their assigned profiles; ones they create are assigned to them.
+const handler = (req, res) => {
   try {
-    const resumesDir = path.join(process.cwd(), "resumes");
-    const files = fs.readdirSync(resumesDir);
-    
-    // Filter JSON files and exclude template
-    const profiles = files
-      .filter(file => file.endsWith(".json") && file !== "_template.json")
-      .map(file => ({
-        id: file.replace(".json", ""),
-        name: file.replace(".json", "").replace(/_/g, " ")
-      }));
-    
-    res.status(200).json(profiles);
+    const id = req.query.id;
+    const { user } = req;
+
+    switch (req.method) {
+      case "GET":
+        return id ? getOne(user, id, res) : res.status(200).json(listProfiles().filter(p => canAccessProfile(user, p.id)));
+      case "POST":
+        return create(user, req.body || {}, res);
+      case "PUT":
+        return update(user, id, req.body || {}, res);
+      case "DELETE":
+        return remove(user, id, res);
+      default:
+        return methodNotAllowed(res, ["GET", "POST", "PUT", "DELETE"]);
+    }
   } catch (error) {
-    console.error("Error reading profiles:", error);
-    res.status(500).json({ error: "Failed to load profiles" });
+    handleRouteError(res, error, { action: "Profile request" });
+  }
+};
+
+const getOne = (user, id, res) => {
+  const data = canAccessProfile(user, id) ? loadProfile(id) : null;
+  if (!data) {
+    return sendError(res, "PROFILE_NOT_FOUND", `Profile "${id}" not found`);
+  }
+  res.status(200).json({ id, data });
+};
+
+const validateBody = (data, res) => {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    sendError(res, "INVALID_REQUEST", "Request body must include the profile JSON as \"data\"", [{ path: "data", message: "must be an object" }]);
+    return false;
+  }
+  const validation = validateProfile(data);
+  if (!validation.valid) {
+    sendError(res, "INVALID_PROFILE", "Profile failed validation", validation.errors);
+    return false;
+  }
+  return true;
+};
+
+const create = (user, { id: requestedId, data }, res) => {
+  if (!validateBody(data, res)) return;
+
+  const id = requestedId || profileIdFromName(data.name);
+  if (!isValidProfileId(id)) {
+    return sendError(res, "INVALID_REQUEST", `Invalid profile id "${id}". Use letters, numbers, spaces, dots, dashes and underscores.`, [
+      { path: "id", message: "may only contain letters, numbers, spaces, dots, dashes and underscores" },
+    ]);
   }
-}
+  if (profileExists(id)) {
+    return sendError(res, "PROFILE_EXISTS", `Profile "${id}" already exists`);
+  }
+
+  saveProfile(id, data);
+  assignProfile(user.username, id);
+  console.log(`✅ Created profile: ${id}`);
+  res.status(201).json({ id, data });
+};
+
+const update = (user, id, { data }, res) => {
+  if (!id) return sendApiError(res, missingField("id", "Profile id required"));
+  if (!canAccessProfile(user, id) || !profileExists(id)) {
+    return sendError(res, "PROFILE_NOT_FOUND", `Profile "${id}" not found`);
+  }
+  if (!validateBody(data, res)) return;
+
+  saveProfile(id, data);
+  console.log(`✅ Updated profile: ${id}`);
+  res.status(200).json({ id, data });
+};
+
+const remove = (user, id, res) => {
+  if (!id) return sendApiError(res, missingField("id", "Profile id required"));
+  if (!isAdmin(user)) return sendError(res, "FORBIDDEN", "Only admins can delete profiles");
+  if (!profileExists(id) || !deleteProfile(id)) {
+    return sendError(res, "PROFILE_NOT_FOUND", `Profile "${id}" not found`);
+  }
+  unassignProfile(id);
+
+  console.log(`🗑️ Deleted profile: ${id}`);
+  res.status(200).json({ id, deleted: true });
+};
 
+export default withAuth(handler);
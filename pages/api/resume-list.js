@@ -1,9 +1,9 @@
-import fs from "fs";
-import path from "path";
+import { canAccessProfile, withAuth } from "../../lib/auth";
+import { listProfiles } from "../../lib/profiles";
 
-export default function handler(req, res) {
-  const resumesDir = path.join(process.cwd(), "resumes");
-  const files = fs.readdirSync(resumesDir).filter(f => f.endsWith(".json"));
-  const names = files.map(f => f.replace(".json", ""));
+const handler = (req, res) => {
+  const names = listProfiles().filter(p => canAccessProfile(req.user, p.id)).map(p => p.id);
   res.status(200).json(names);
-}
+};
+
+export default withAuth(handler);
@@ -0,0 +1,66 @@
+import { canAccessProfile, withAuth } from "../../lib/auth";
+import { loadProfile } from "../../lib/profiles";
+import { parseInput } from "../../lib/lenientJson";
+import { buildTemplateData } from "../../lib/resume";
+import { scoreResume, sectionsFromResume } from "../../lib/score";
+import { validateCompletedResume } from "../../lib/validation";
+import { handleRouteError, methodNotAllowed, missingField, sendApiError, sendError } from "../../lib/errors";
+
+// POST { jobDescription, profile?, resume? } or { jobDescription, text }
+// `resume` is the completed resume JSON (string or object); `text` is an
+// already rendered resume (e.g. the TXT export or pasted plain text)
+function handler(req, res) {
+  if (req.method !== "POST") return methodNotAllowed(res, ["POST"]);
+
+  const { jobDescription, profile, resume, text } = req.body || {};
+
+  if (jobDescription && typeof jobDescription !== "string") {
+    return sendError(res, "INVALID_REQUEST", "jobDescription must be text", [{ path: "jobDescription", message: "must be a string" }]);
+  }
+  if (!jobDescription || !jobDescription.trim()) {
+    return sendApiError(res, missingField("jobDescription", "Job description required"));
+  }
+  if (!resume && !text) {
+    return sendError(res, "MISSING_FIELD", "Provide the completed resume JSON (resume) or the rendered resume text (text)", [
+      { path: "resume", message: "is required unless text is given" },
+    ]);
+  }
+
+  try {
+    let sections;
+
+    if (text) {
+      sections = { text: String(text) };
+    } else {
+      let resumeContent;
+      try {
+        ({ value: resumeContent } = parseInput(resume));
+      } catch (parseError) {
+        return sendError(res, "INVALID_RESUME_JSON", `Completed resume JSON could not be parsed. ${parseError.message}`, [parseError.detail("resume")]);
+      }
+
+      const profileData = profile && canAccessProfile(req.user, profile) ? loadProfile(profile) : null;
+      if (profile && !profileData) {
+        return sendError(res, "PROFILE_NOT_FOUND", `Profile "${profile}" not found`);
+      }
+
+      // Same checks as /api/generate, so a wrongly shaped field is reported rather than crashing the scorer
+      const validation = validateCompletedResume(resumeContent, profileData);
+      if (!validation.valid) {
+        return sendError(res, "INVALID_REQUEST", "Completed resume JSON failed validation", validation.errors);
+      }
+
+      // Score what will actually be rendered
+      sections = sectionsFromResume(profileData ? buildTemplateData(profileData, resumeContent) : resumeContent);
+    }
+
+    const result = scoreResume(jobDescription, sections);
+    console.log(`ATS score: ${result.score}% (${result.matched.length} matched, ${result.missing.length} missing)`);
+
+    res.status(200).json(result);
+  } catch (err) {
+    handleRouteError(res, err, { action: "Scoring" });
+  }
+}
+
+export default withAuth(handler);
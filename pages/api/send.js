@@ -0,0 +1,81 @@
+import { requireProfileAccess, withAuth } from "../../lib/auth";
+import { generateResume } from "../../lib/generate";
+import { recordGeneration } from "../../lib/history";
+import { getMailFrom, getMailTransport, isValidEmail, sendResumeEmail } from "../../lib/mail";
+import { handleRouteError, methodNotAllowed, sendError } from "../../lib/errors";
+
+const defaultSubject = (name, company, role) => `${name} - ${role} application at ${company}`;
+
+const defaultMessage = (name, company, role) =>
+  `Hello,\n\nPlease find attached the resume of ${name} for the ${role} position at ${company}.\n\nBest regards`;
+
+// POST { profile, jd, company, role, template?, format?, type?, sections?, hiddenJobs?, theme?, maxPages?, trimBullets?, to, subject?, message?, replyTo? }
+// -> generate the resume and email it as an attachment
+async function handler(req, res) {
+  if (req.method !== "POST") return methodNotAllowed(res, ["POST"]);
+
+  const { profile, jd, company, role, template, format = "pdf", type = "resume", sections, hiddenJobs, theme, maxPages, trimBullets, to, subject, message, replyTo } = req.body || {};
+
+  if (!isValidEmail(to)) {
+    return sendError(res, "INVALID_REQUEST", "A valid recipient email address (to) is required", [{ path: "to", message: "must be an email address" }]);
+  }
+  if (replyTo && !isValidEmail(replyTo)) {
+    return sendError(res, "INVALID_REQUEST", "replyTo must be a valid email address", [{ path: "replyTo", message: "must be an email address" }]);
+  }
+  for (const [path, value] of Object.entries({ subject, message })) {
+    if (value !== undefined && value !== null && typeof value !== "string") {
+      return sendError(res, "INVALID_REQUEST", `${path} must be text`, [{ path, message: "must be a string" }]);
+    }
+  }
+
+  // Resolve the transport and sender first so configuration problems fail before rendering
+  let transport;
+  let from;
+  try {
+    transport = getMailTransport();
+    from = getMailFrom(transport);
+  } catch (configError) {
+    return handleRouteError(res, configError, { action: "Mail transport", code: "NOT_CONFIGURED" });
+  }
+
+  let result;
+  try {
+    requireProfileAccess(req.user, profile);
+    result = await generateResume({ profile, jd, company, role, template, format, type, sections, hiddenJobs, theme, maxPages, trimBullets });
+  } catch (err) {
+    return handleRouteError(res, err, { action: "Resume generation", code: "RENDER_FAILED" });
+  }
+
+  const name = result.prepared.profileData.name;
+
+  try {
+    console.log(`Sending ${result.filename} to ${to} via ${transport.name}...`);
+    const sent = await sendResumeEmail({
+      transport,
+      from,
+      to: to.trim(),
+      replyTo,
+      subject: subject?.trim() || defaultSubject(name, company, role),
+      message: message?.trim() || defaultMessage(name, company, role),
+      attachment: { filename: result.filename, content: result.output, contentType: result.contentType },
+    });
+    console.log(`✅ Email sent (${sent.transport}): ${sent.id}`);
+
+    // Only mails that actually went out are recorded
+    const entry = recordGeneration({ profile, company, role, jd, sections, hiddenJobs, theme, source: "email", user: req.user.username }, result);
+
+    res.status(200).json({
+      sent: true,
+      to: to.trim(),
+      filename: result.filename,
+      transport: sent.transport,
+      messageId: sent.id,
+      historyId: entry?.id || null,
+      ...(result.fit ? { fit: result.fit } : {}),
+    });
+  } catch (err) {
+    handleRouteError(res, err, { action: "Sending", code: "SEND_FAILED" });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,40 @@
+import { canAccessProfile, withAuth } from "../../lib/auth";
+import { loadProfile } from "../../lib/profiles";
+import { getTailorProvider, tailorResume } from "../../lib/tailor";
+import { handleRouteError, methodNotAllowed, missingField, sendApiError, sendError } from "../../lib/errors";
+
+async function handler(req, res) {
+  if (req.method !== "POST") return methodNotAllowed(res, ["POST"]);
+
+  try {
+    const { profile, jd, company, role } = req.body || {};
+
+    if (!profile) return sendApiError(res, missingField("profile", "Profile required"));
+    if (jd && typeof jd !== "string") {
+      return sendError(res, "INVALID_REQUEST", "jd must be the job description text", [{ path: "jd", message: "must be a string" }]);
+    }
+    if (!jd || !jd.trim()) return sendApiError(res, missingField("jd", "Job description required"));
+
+    const profileData = canAccessProfile(req.user, profile) ? loadProfile(profile) : null;
+    if (!profileData) {
+      return sendError(res, "PROFILE_NOT_FOUND", `Profile "${profile}" not found`);
+    }
+
+    let provider;
+    try {
+      provider = getTailorProvider();
+    } catch (configError) {
+      return handleRouteError(res, configError, { action: "Tailor provider", code: "NOT_CONFIGURED" });
+    }
+
+    console.log(`Tailoring profile "${profile}" with ${provider.name} provider...`);
+    const data = await tailorResume({ provider, profileData, jobDescription: jd, company, role });
+    console.log(`✅ Tailored resume: ${Object.keys(data.skills).length} skill categories, ${data.experience.length} experience entries`);
+
+    res.status(200).json({ data, provider: provider.name });
+  } catch (err) {
+    handleRouteError(res, err, { action: "Tailoring", code: "TAILOR_FAILED" });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,27 @@
+import { withAuth } from "../../lib/auth";
+import { listTemplates, DOCUMENT_TYPES } from "../../lib/templates";
+import { handleRouteError, sendError } from "../../lib/errors";
+
+// GET ?type=resume|cover-letter (default resume)
+function handler(req, res) {
+  const type = req.query.type || "resume";
+  if (!Object.hasOwn(DOCUMENT_TYPES, type)) {
+    return sendError(res, "UNSUPPORTED_TYPE", `Unknown document type "${type}". Use one of: ${Object.keys(DOCUMENT_TYPES).join(", ")}`);
+  }
+
+  try {
+    const templates = listTemplates(type).map(({ id, name, description, pageSize }) => ({
+      id,
+      name,
+      description,
+      pageSize,
+      default: id === DOCUMENT_TYPES[type].defaultTemplate
+    }));
+
+    res.status(200).json(templates);
+  } catch (error) {
+    handleRouteError(res, error, { action: "Loading templates" });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,66 @@
+import { withAuth } from "../../lib/auth";
+import { createUser, deleteUser, getUser, listUsers, publicUser, updateUser } from "../../lib/auth/users";
+import { handleRouteError, methodNotAllowed, missingField, sendApiError, sendError } from "../../lib/errors";
+
+// Admin only:
+// GET                 -> [user]
+// GET    ?username=X  -> user
+// POST   { username, password?, role, profiles, name?, email? } -> create
+// PUT    ?username=X { role?, profiles?, password?, name?, email? } -> update
+// DELETE ?username=X
+const handler = async (req, res) => {
+  try {
+    const { username } = req.query;
+
+    switch (req.method) {
+      case "GET":
+        if (!username) return res.status(200).json(listUsers().map(publicUser));
+        return getOne(username, res);
+      case "POST":
+        return await create(req.body || {}, res);
+      case "PUT":
+        return await update(username, req.body || {}, res);
+      case "DELETE":
+        return remove(username, req, res);
+      default:
+        return methodNotAllowed(res, ["GET", "POST", "PUT", "DELETE"]);
+    }
+  } catch (error) {
+    handleRouteError(res, error, { action: "User request" });
+  }
+};
+
+const getOne = (username, res) => {
+  const user = getUser(username);
+  if (!user) return sendError(res, "USER_NOT_FOUND", `User "${username}" not found`);
+  res.status(200).json(publicUser(user));
+};
+
+const create = async (body, res) => {
+  if (!body.username) return sendApiError(res, missingField("username", "Username required"));
+
+  const user = await createUser(body);
+  console.log(`✅ Created user: ${user.username} (${user.role})`);
+  res.status(201).json(publicUser(user));
+};
+
+const update = async (username, body, res) => {
+  if (!username) return sendApiError(res, missingField("username", "Username required"));
+
+  const user = await updateUser(username, body);
+  console.log(`✅ Updated user: ${user.username} (${user.role}, ${user.profiles.length} profiles)`);
+  res.status(200).json(publicUser(user));
+};
+
+const remove = (username, req, res) => {
+  if (!username) return sendApiError(res, missingField("username", "Username required"));
+  if (username.toLowerCase() === req.user.username) {
+    return sendError(res, "INVALID_REQUEST", "You can't delete your own account");
+  }
+  if (!deleteUser(username)) return sendError(res, "USER_NOT_FOUND", `User "${username}" not found`);
+
+  console.log(`🗑️ Deleted user: ${username}`);
+  res.status(200).json({ username, deleted: true });
+};
+
+export default withAuth(handler, { role: "admin" });
@@ -0,0 +1,41 @@
+import { canAccessProfile, withAuth } from "../../lib/auth";
+import { checkDocuments } from "../../lib/check";
+import { parseInput } from "../../lib/lenientJson";
+import { loadProfile } from "../../lib/profiles";
+import { handleRouteError, methodNotAllowed, sendError } from "../../lib/errors";
+
+// POST { profile?: id, profileData?: object|string, jd?: completed resume JSON, hiddenJobs? }
+// Validates whichever documents are supplied and reports field-level errors.
+// With both a profile and jd it also reports which entry each job was matched to.
+function handler(req, res) {
+  if (req.method !== "POST") return methodNotAllowed(res, ["POST"]);
+
+  const { profile, profileData: profileInput, jd, hiddenJobs } = req.body || {};
+
+  if (!profile && !profileInput && !jd) {
+    return sendError(res, "MISSING_FIELD", "Provide a profile id, profileData and/or completed resume JSON (jd) to validate");
+  }
+
+  try {
+    let profileData = null;
+
+    if (profileInput) {
+      try {
+        ({ value: profileData } = parseInput(profileInput));
+      } catch (parseError) {
+        return sendError(res, "INVALID_PROFILE", `profileData could not be parsed. ${parseError.message}`, [parseError.detail("profileData")]);
+      }
+    } else if (profile) {
+      profileData = canAccessProfile(req.user, profile) ? loadProfile(profile) : null;
+      if (!profileData) {
+        return sendError(res, "PROFILE_NOT_FOUND", `Profile "${profile}" not found`);
+      }
+    }
+
+    res.status(200).json(checkDocuments({ profileData, jd, hiddenJobs }));
+  } catch (err) {
+    handleRouteError(res, err, { action: "Validation" });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,397 @@
+import { useState, useCallback, useEffect } from "react";
+import { apiErrorFrom } from "../lib/errors";
+import { useSession } from "../lib/useSession";
+
+const PAGE_SIZE = 25;
+
+const formatDate = (iso) => new Date(iso).toLocaleString(undefined, {
+  year: "numeric",
+  month: "short",
+  day: "numeric",
+  hour: "2-digit",
+  minute: "2-digit"
+});
+
+const formatSize = (bytes) => (bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`);
+
+const TYPE_LABELS = {
+  resume: "",
+  "cover-letter": "cover letter"
+};
+
+const SOURCE_LABELS = {
+  generate: "",
+  batch: "batch",
+  rerender: "re-render",
+  email: "emailed"
+};
+
+// Save a fetch Response as a file, using the server's Content-Disposition name
+const downloadResponse = async (response, fallbackName) => {
+  const blob = await response.blob();
+  const disposition = response.headers.get("Content-Disposition") || "";
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.URL.revokeObjectURL(url);
+};
+
+const containerStyle = {
+  maxWidth: 1100,
+  margin: "40px auto",
+  fontFamily: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+  background: "#f9f9f9",
+  padding: "30px",
+  borderRadius: "12px",
+  boxShadow: "0 4px 12px rgba(0,0,0,0.1)"
+};
+
+const titleStyle = {
+  textAlign: "center",
+  color: "#333",
+  marginBottom: "10px"
+};
+
+const subtitleStyle = {
+  textAlign: "center",
+  color: "#666",
+  marginBottom: "30px"
+};
+
+const cardStyle = {
+  background: "#fff",
+  padding: "25px",
+  borderRadius: "8px",
+  marginBottom: "20px"
+};
+
+const searchStyle = {
+  width: "100%",
+  padding: "10px 12px",
+  borderRadius: "6px",
+  border: "1px solid #ccc",
+  fontSize: "15px",
+  boxSizing: "border-box"
+};
+
+const tableStyle = {
+  width: "100%",
+  borderCollapse: "collapse",
+  fontSize: "14px"
+};
+
+const thStyle = {
+  textAlign: "left",
+  padding: "10px 8px",
+  borderBottom: "2px solid #eee",
+  color: "#555",
+  whiteSpace: "nowrap"
+};
+
+const tdStyle = {
+  padding: "10px 8px",
+  borderBottom: "1px solid #f0f0f0",
+  verticalAlign: "top"
+};
+
+const mutedStyle = {
+  color: "#999",
+  fontSize: "12px"
+};
+
+const actionButtonStyle = {
+  border: "none",
+  padding: "5px 10px",
+  borderRadius: "5px",
+  cursor: "pointer",
+  fontSize: "12px",
+  marginRight: "6px",
+  marginBottom: "4px",
+  background: "#e3f2fd",
+  color: "#1565c0"
+};
+
+const downloadLinkStyle = {
+  ...actionButtonStyle,
+  display: "inline-block",
+  textDecoration: "none"
+};
+
+const deleteButtonStyle = {
+  ...actionButtonStyle,
+  background: "#ffebee",
+  color: "#c62828"
+};
+
+const errorStyle = {
+  background: "#ffebee",
+  color: "#c62828",
+  padding: "15px",
+  borderRadius: "8px",
+  marginBottom: "20px",
+  border: "1px solid #ef5350"
+};
+
+const successStyle = {
+  background: "#e8f5e9",
+  color: "#2e7d32",
+  padding: "15px",
+  borderRadius: "8px",
+  marginBottom: "20px"
+};
+
+const emptyStyle = {
+  textAlign: "center",
+  color: "#999",
+  padding: "30px 0"
+};
+
+const loadMoreStyle = {
+  border: "1px solid #ccc",
+  background: "#fff",
+  padding: "8px 18px",
+  borderRadius: "6px",
+  cursor: "pointer",
+  marginTop: "15px"
+};
+
+const linkStyle = {
+  color: "#2196F3",
+  textDecoration: "none",
+  fontSize: "14px"
+};
+
+export default function History() {
+  const session = useSession();
+  const [query, setQuery] = useState("");
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadPage = useCallback(async (search, offset, signal) => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ q: search, limit: String(PAGE_SIZE), offset: String(offset) });
+      const response = await fetch(`/api/history?${params}`, { signal });
+      if (!response.ok) {
+        throw await apiErrorFrom(response, "Failed to load history");
+      }
+      const data = await response.json();
+
+      setEntries(prev => (offset === 0 ? data.items : [...prev, ...data.items]));
+      setTotal(data.total);
+      setError(null);
+    } catch (err) {
+      if (err.name !== "AbortError") setError({ message: err.message, details: err.details });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Debounce searching while typing
+  useEffect(() => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => loadPage(query, 0, controller.signal), 300);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, loadPage]);
+
+  const handleRerender = useCallback(async (entry) => {
+    setBusyId(entry.id);
+    setError(null);
+    setMessage(null);
+    try {
+      const response = await fetch(`/api/history/${entry.id}/rerender`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({}),
+      });
+      if (!response.ok) {
+        throw await apiErrorFrom(response, "Re-render failed");
+      }
+
+      await downloadResponse(response, entry.filename);
+      await loadPage(query, 0);
+    } catch (err) {
+      setError({ message: err.message, details: err.details });
+    } finally {
+      setBusyId(null);
+    }
+  }, [query, loadPage]);
+
+  const handleCopyJson = useCallback(async (entry) => {
+    setError(null);
+    setMessage(null);
+    try {
+      const response = await fetch(`/api/history/${entry.id}`);
+      if (!response.ok) {
+        throw await apiErrorFrom(response, "Failed to load entry");
+      }
+      const data = await response.json();
+      await navigator.clipboard.writeText(data.jd);
+      setMessage(`${entry.type === "cover-letter" ? "Cover letter" : "Completed resume"} JSON for ${entry.filename} copied to the clipboard`);
+    } catch (err) {
+      setError({ message: err.message, details: err.details });
+    }
+  }, []);
+
+  const handleDelete = useCallback(async (entry) => {
+    if (!window.confirm(`Delete ${entry.filename} from history?`)) return;
+    setMessage(null);
+
+    try {
+      const response = await fetch(`/api/history/${entry.id}`, { method: "DELETE" });
+      if (!response.ok) {
+        throw await apiErrorFrom(response, "Failed to delete entry");
+      }
+      setEntries(prev => prev.filter(e => e.id !== entry.id));
+      setTotal(prev => prev - 1);
+    } catch (err) {
+      setError({ message: err.message, details: err.details });
+    }
+  }, []);
+
+  return (
+    <div style={containerStyle}>
+      <h1 style={titleStyle}>
+        Generation History
+      </h1>
+      <p style={subtitleStyle}>
+        Every resume generated, with the JSON used to build it
+      </p>
+
+      <div style={cardStyle}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search by candidate, company, role or filename..."
+          style={searchStyle}
+        />
+      </div>
+
+      {message && (
+        <div style={successStyle}>
+          ✓ {message}
+        </div>
+      )}
+
+      {error && (
+        <div style={errorStyle}>
+          <strong>Error:</strong> {error.message}
+          {error.details?.length > 0 && (
+            <ul style={{ margin: "8px 0 0", paddingLeft: "20px" }}>
+              {error.details.map((d, idx) => (
+                <li key={idx}>
+                  <code>{d.path}</code>: {d.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div style={cardStyle}>
+        {entries.length === 0 ? (
+          <div style={emptyStyle}>
+            {loading ? "Loading..." : query ? "No matching resumes." : "No resumes generated yet."}
+          </div>
+        ) : (
+          <table style={tableStyle}>
+            <thead>
+              <tr>
+                <th style={thStyle}>Date</th>
+                <th style={thStyle}>Candidate</th>
+                <th style={thStyle}>Company</th>
+                <th style={thStyle}>Role</th>
+                <th style={thStyle}>Template</th>
+                <th style={thStyle}>File</th>
+                <th style={thStyle}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry.id}>
+                  <td style={{ ...tdStyle, whiteSpace: "nowrap" }}>
+                    {formatDate(entry.createdAt)}
+                    {SOURCE_LABELS[entry.source] && (
+                      <div style={mutedStyle}>{SOURCE_LABELS[entry.source]}</div>
+                    )}
+                    {session?.user?.role === "admin" && entry.user && (
+                      <div style={mutedStyle}>by {entry.user}</div>
+                    )}
+                  </td>
+                  <td style={tdStyle}>
+                    {entry.name}
+                    <div style={mutedStyle}>{entry.profile}</div>
+                  </td>
+                  <td style={tdStyle}>{entry.company}</td>
+                  <td style={tdStyle}>{entry.role}</td>
+                  <td style={tdStyle}>
+                    {entry.template}
+                    {TYPE_LABELS[entry.type] && (
+                      <div style={mutedStyle}>{TYPE_LABELS[entry.type]}</div>
+                    )}
+                  </td>
+                  <td style={tdStyle}>
+                    {entry.format.toUpperCase()}
+                    <div style={mutedStyle}>{formatSize(entry.size)}</div>
+                  </td>
+                  <td style={{ ...tdStyle, minWidth: "170px" }}>
+                    <a href={`/api/history/${entry.id}/download`} style={downloadLinkStyle}>
+                      ⬇️ Download
+                    </a>
+                    <button
+                      onClick={() => handleRerender(entry)}
+                      disabled={busyId === entry.id}
+                      style={actionButtonStyle}
+                    >
+                      {busyId === entry.id ? "Rendering..." : "♻️ Re-render"}
+                    </button>
+                    <button onClick={() => handleCopyJson(entry)} style={actionButtonStyle}>
+                      📋 JSON
+                    </button>
+                    <button onClick={() => handleDelete(entry)} style={deleteButtonStyle}>
+                      🗑️
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {entries.length < total && (
+          <div style={{ textAlign: "center" }}>
+            <button onClick={() => loadPage(query, entries.length)} disabled={loading} style={loadMoreStyle}>
+              {loading ? "Loading..." : `Load more (${total - entries.length} remaining)`}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div style={{
+        marginTop: "30px",
+        textAlign: "center"
+      }}>
+        <a
+          href="/"
+          style={linkStyle}
+        >
+          ← Back to Resume Generator
+        </a>
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,47 @@
 import { useState, useEffect, useCallback, useMemo } from "react";
+import { buildFilename } from "../lib/filename";
+import { RESUME_SECTIONS } from "../lib/sections";
+import { FONT_FAMILIES, HEADER_ALIGNMENTS, PAPER_SIZES } from "../lib/theme";
+import { apiErrorFrom, readApiError } from "../lib/errors";
+import { renderWithJob } from "../lib/renderJob";
+import { fetchJson, signOut, useSession } from "../lib/useSession";
 
-// Move utility function outside component to avoid recreation
-const sanitizeFilename = (str) => str.replace(/[^a-z0-9]/gi, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
+const FORMAT_LABELS = {
+  pdf: "PDF",
+  docx: "DOCX",
+  txt: "Text",
+  md: "Markdown"
+};
+
+const MAX_PAGE_OPTIONS = [1, 2, 3];
+
+const SECTION_LABELS = {
+  summary: "Summary",
+  skills: "Skills",
+  experience: "Experience",
+  projects: "Projects",
+  education: "Education",
+  certifications: "Certifications",
+  publications: "Publications",
+  awards: "Awards",
+  languages: "Languages"
+};
+
+// Fit report (X-Fit-Report header or parsed object) -> lines for the success alert
+const describeFit = (report) => {
+  if (!report) return "";
+  const fit = typeof report === "string" ? JSON.parse(decodeURIComponent(report)) : report;
+  if (fit.changes.length === 0) return `\n\nAlready fits on ${fit.maxPages} page${fit.maxPages === 1 ? "" : "s"}.`;
+  return `\n\nFitted from ${fit.originalPages} to ${fit.pages} page${fit.pages === 1 ? "" : "s"}:\n` + fit.changes.map(c => `• ${c}`).join("\n");
+};
+
+// Render job status -> button label while the file is being made
+const describeJobProgress = (job) => {
+  if (!job) return null;
+  if (job.status === "queued") return job.position > 0 ? `Queued, ${job.position} ahead...` : "Queued...";
+  if (job.status === "rendering") return `Rendering... ${Math.floor(job.timing.renderMs / 1000)}s`;
+  return "Downloading...";
+};
 
 // Memoize static styles outside component
 const containerStyle = {
@@ -60,6 +100,53 @@ const selectStyle = {
   cursor: "pointer"
 };
 
+const sectionToggleRowStyle = {
+  display: "flex",
+  flexWrap: "wrap",
+  gap: "8px 16px",
+  fontSize: "14px",
+  color: "#555"
+};
+
+const sectionToggleStyle = {
+  display: "flex",
+  alignItems: "center",
+  gap: "6px",
+  cursor: "pointer"
+};
+
+const jobToggleListStyle = {
+  ...sectionToggleRowStyle,
+  flexDirection: "column"
+};
+
+const themeGridStyle = {
+  display: "grid",
+  gridTemplateColumns: "repeat(3, 1fr)",
+  gap: "12px"
+};
+
+const themeLabelStyle = {
+  display: "block",
+  fontSize: "12px",
+  color: "#666",
+  marginBottom: "4px"
+};
+
+const themeInputStyle = {
+  ...inputBaseStyle,
+  padding: "10px 12px",
+  fontSize: "14px",
+  borderRadius: "10px",
+  boxSizing: "border-box"
+};
+
+const hintStyle = {
+  fontSize: "13px",
+  color: "#888",
+  margin: "8px 0 0"
+};
+
 const textareaStyle = {
   ...inputBaseStyle,
   resize: "vertical",
@@ -90,6 +177,182 @@ const infoListStyle = {
   margin: 0
 };
 
+const downloadRowStyle = {
+  display: "flex",
+  gap: "12px",
+  marginTop: "12px"
+};
+
+const sendPanelStyle = {
+  ...infoBoxStyle,
+  marginTop: "20px"
+};
+
+const sendFieldStyle = {
+  marginTop: "12px"
+};
+
+// The panel is inset, so keep padded inputs inside it
+const sendInputStyle = {
+  ...inputBaseStyle,
+  boxSizing: "border-box"
+};
+
+const coverLetterPanelStyle = {
+  ...infoBoxStyle,
+  marginTop: "20px"
+};
+
+const scorePanelStyle = {
+  ...infoBoxStyle,
+  marginTop: 0,
+  marginBottom: "30px"
+};
+
+const scoreHeaderStyle = {
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "center",
+  gap: "12px"
+};
+
+const coverageRowStyle = {
+  display: "flex",
+  alignItems: "center",
+  gap: "10px",
+  fontSize: "13px",
+  color: "#555",
+  marginTop: "6px"
+};
+
+const coverageTrackStyle = {
+  flex: 1,
+  height: "8px",
+  background: "#e0e0e0",
+  borderRadius: "4px",
+  overflow: "hidden"
+};
+
+const chipStyle = {
+  display: "inline-block",
+  padding: "3px 10px",
+  margin: "0 6px 6px 0",
+  borderRadius: "12px",
+  fontSize: "12px"
+};
+
+const matchedChipStyle = { ...chipStyle, background: "#e8f5e9", color: "#2e7d32" };
+const missingChipStyle = { ...chipStyle, background: "#ffebee", color: "#c62828" };
+
+const scoreColor = (score) => (score >= 75 ? "#2e7d32" : score >= 50 ? "#f9a825" : "#c62828");
+
+const layoutStyle = {
+  display: "flex",
+  flexWrap: "wrap",
+  gap: "30px",
+  alignItems: "flex-start",
+  justifyContent: "center",
+  width: "100%",
+  maxWidth: "1800px"
+};
+
+const formCardStyle = {
+  ...cardStyle,
+  flex: "1 1 560px"
+};
+
+const previewCardStyle = {
+  ...cardStyle,
+  flex: "1 1 640px",
+  maxWidth: "900px",
+  padding: "30px",
+  position: "sticky",
+  top: "20px"
+};
+
+const previewHeaderStyle = {
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "center",
+  marginBottom: "15px"
+};
+
+const previewFrameStyle = {
+  width: "100%",
+  height: "1100px",
+  border: "1px solid #e0e0e0",
+  borderRadius: "8px",
+  background: "#fff"
+};
+
+const previewPlaceholderStyle = {
+  ...infoBoxStyle,
+  marginTop: 0,
+  color: "#999",
+  textAlign: "center"
+};
+
+const inlineErrorStyle = {
+  marginTop: "10px",
+  padding: "12px 16px",
+  background: "#ffebee",
+  color: "#c62828",
+  border: "1px solid #ef5350",
+  borderRadius: "10px",
+  fontSize: "14px"
+};
+
+const inlineWarningStyle = {
+  ...inlineErrorStyle,
+  background: "#fff8e1",
+  color: "#8d6e00",
+  border: "1px solid #ffca28"
+};
+
+const issueListStyle = {
+  margin: "6px 0 0",
+  paddingLeft: "20px",
+  lineHeight: "1.6"
+};
+
+// Result of the last action, pinned to the corner so it's visible wherever the button was
+const noticeStyle = {
+  ...inlineErrorStyle,
+  position: "fixed",
+  right: "20px",
+  bottom: "20px",
+  zIndex: 1000,
+  maxWidth: "440px",
+  marginTop: 0,
+  paddingRight: "40px",
+  whiteSpace: "pre-wrap",
+  boxShadow: "0 8px 30px rgba(0,0,0,0.25)"
+};
+
+const successNoticeStyle = {
+  ...noticeStyle,
+  background: "#e8f5e9",
+  color: "#2e7d32",
+  border: "1px solid #66bb6a"
+};
+
+const noticeCloseStyle = {
+  position: "absolute",
+  top: "8px",
+  right: "10px",
+  border: "none",
+  background: "transparent",
+  color: "inherit",
+  fontSize: "18px",
+  cursor: "pointer"
+};
+
+const errorNotice = (message, details = []) => ({ type: "error", message, details: details || [] });
+const successNotice = (message) => ({ type: "success", message, details: [] });
+
+// Successes clear themselves; errors stay until dismissed or the next action
+const SUCCESS_NOTICE_MS = 6000;
+
 const footerStyle = {
   marginTop: "30px",
   textAlign: "center",
@@ -97,27 +360,188 @@ const footerStyle = {
   color: "#999"
 };
 
+const footerLinkStyle = {
+  color: "#2196F3",
+  textDecoration: "none",
+  margin: "0 8px"
+};
+
+const footerButtonStyle = {
+  ...footerLinkStyle,
+  border: "none",
+  background: "none",
+  padding: 0,
+  cursor: "pointer",
+  fontSize: "14px"
+};
+
 export default function Home() {
+  const session = useSession();
   const [profiles, setProfiles] = useState([]);
   const [selectedProfile, setSelectedProfile] = useState("");
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplate, setSelectedTemplate] = useState("");
   const [company, setCompany] = useState("");
   const [role, setRole] = useState("");
   const [jd, setJd] = useState("");
+  const [jobDescription, setJobDescription] = useState("");
   const [disable, setDisable] = useState(false);
+  const [activeFormat, setActiveFormat] = useState(null);
+  const [renderJob, setRenderJob] = useState(null);
+  const [scoreResult, setScoreResult] = useState(null);
+  const [scoring, setScoring] = useState(false);
+  const [tailoring, setTailoring] = useState(false);
+  const [previewHtml, setPreviewHtml] = useState("");
+  const [previewError, setPreviewError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [previewWarnings, setPreviewWarnings] = useState([]);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [sendTo, setSendTo] = useState("");
+  const [sendSubject, setSendSubject] = useState("");
+  const [sendMessage, setSendMessage] = useState("");
+  const [coverLetter, setCoverLetter] = useState("");
+  const [hiddenSections, setHiddenSections] = useState([]);
+  const [profileJobs, setProfileJobs] = useState([]);
+  const [profileTheme, setProfileTheme] = useState({});
+  const [hiddenJobs, setHiddenJobs] = useState([]);
+  const [maxPages, setMaxPages] = useState("");
+  const [trimBullets, setTrimBullets] = useState(false);
+  const [themeOverrides, setThemeOverrides] = useState({});
 
   // Load profiles on mount
   useEffect(() => {
-    fetch("/api/profiles")
-      .then(res => res.json())
+    fetchJson("/api/profiles", { fallbackMessage: "Failed to load profiles" })
       .then(data => setProfiles(data))
-      .catch(err => console.error("Failed to load profiles:", err));
+      .catch(err => setNotice(errorNotice(err.message, err.details)));
+
+    fetchJson("/api/templates", { fallbackMessage: "Failed to load templates" })
+      .then(data => {
+        setTemplates(data);
+        const defaultTemplate = data.find(t => t.default) || data[0];
+        if (defaultTemplate) setSelectedTemplate(defaultTemplate.id);
+      })
+      .catch(err => setNotice(errorNotice(err.message, err.details)));
   }, []);
 
+  // Jobs of the selected profile, so single jobs can be left out of this resume,
+  // and its theme defaults for the preview header
+  useEffect(() => {
+    setHiddenJobs([]);
+    if (!selectedProfile) {
+      setProfileJobs([]);
+      setProfileTheme({});
+      return;
+    }
+
+    const controller = new AbortController();
+    fetchJson(`/api/profiles?id=${encodeURIComponent(selectedProfile)}`, { signal: controller.signal, fallbackMessage: "Failed to load profile" })
+      .then(data => {
+        setProfileJobs(data.data?.experience || []);
+        setProfileTheme(data.data?.theme || {});
+      })
+      .catch(err => {
+        if (err.name !== "AbortError") console.error("Failed to load profile jobs:", err);
+      });
+    return () => controller.abort();
+  }, [selectedProfile]);
+
+  const hiddenJobsOption = useMemo(() => (hiddenJobs.length > 0 ? hiddenJobs : undefined), [hiddenJobs]);
+
+  // Page limit for PDFs, fitted on the server (see lib/fit.js)
+  const fitOptions = useMemo(() => (
+    maxPages ? { maxPages: Number(maxPages), trimBullets: trimBullets || undefined } : {}
+  ), [maxPages, trimBullets]);
+
+  // Only the fields set here override the profile's theme
+  const themeOption = useMemo(() => {
+    const theme = Object.fromEntries(Object.entries(themeOverrides).filter(([, value]) => value !== ""));
+    if (theme.fontSize !== undefined) theme.fontSize = Number(theme.fontSize);
+    return Object.keys(theme).length > 0 ? theme : undefined;
+  }, [themeOverrides]);
+
+  const jobProgress = useMemo(() => describeJobProgress(renderJob), [renderJob]);
+
+  // Nothing hidden -> use the profile's own section layout
+  const sectionOptions = useMemo(() => (
+    hiddenSections.length > 0 ? { hidden: hiddenSections } : undefined
+  ), [hiddenSections]);
+
+  // Refresh the live preview whenever the JSON, profile or template changes (debounced)
+  useEffect(() => {
+    if (!selectedProfile || !jd.trim()) {
+      setPreviewHtml("");
+      setPreviewError(null);
+      setPreviewWarnings([]);
+      // An in-flight preview was just aborted, and aborted requests leave the flag to the next one
+      setPreviewLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setPreviewLoading(true);
+      try {
+        const previewRes = await fetch("/api/preview", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            profile: selectedProfile,
+            jd: jd,
+            template: selectedTemplate || undefined,
+            sections: sectionOptions,
+            hiddenJobs: hiddenJobsOption,
+            theme: themeOption
+          }),
+          signal: controller.signal
+        });
+
+        if (!previewRes.ok) {
+          setPreviewError(await readApiError(previewRes, "Failed to render preview"));
+          setPreviewWarnings([]);
+          return;
+        }
+
+        const warningsHeader = previewRes.headers.get("X-Resume-Warnings");
+        setPreviewWarnings(warningsHeader ? JSON.parse(decodeURIComponent(warningsHeader)) : []);
+        setPreviewHtml(await previewRes.text());
+        setPreviewError(null);
+      } catch (error) {
+        if (error.name !== "AbortError") {
+          setPreviewError({ message: error.message, details: [] });
+        }
+      } finally {
+        if (!controller.signal.aborted) setPreviewLoading(false);
+      }
+    }, 500);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [selectedProfile, jd, selectedTemplate, sectionOptions, hiddenJobsOption, themeOption]);
+
+  useEffect(() => {
+    if (notice?.type !== "success") return;
+    const timer = setTimeout(() => setNotice(null), SUCCESS_NOTICE_MS);
+    return () => clearTimeout(timer);
+  }, [notice]);
+
+  // Highlight the JSON field while it has errors
+  const jdTextareaStyle = useMemo(() => (
+    previewError ? { ...textareaStyle, borderColor: "#ef5350", background: "#fffafa" } : textareaStyle
+  ), [previewError]);
+
   // Memoize selected profile data
   const selectedProfileData = useMemo(() => {
     return profiles.find(p => p.id === selectedProfile);
   }, [profiles, selectedProfile]);
 
+  const selectedTemplateData = useMemo(() => {
+    return templates.find(t => t.id === selectedTemplate);
+  }, [templates, selectedTemplate]);
+
+  const previewPaperSize = themeOption?.paperSize || profileTheme.paperSize || selectedTemplateData?.pageSize;
+
   // Memoize button style based on disable state
   const buttonStyle = useMemo(() => ({
     width: "100%",
@@ -133,39 +557,129 @@ export default function Home() {
     boxShadow: disable ? "none" : "0 4px 15px rgba(102, 126, 234, 0.4)"
   }), [disable]);
 
-  // Memoize generatePDF function with useCallback
-  const generatePDF = useCallback(async () => {
-    if (disable) return;
-    if (!selectedProfile) return alert("Please select a profile");
-    if (!jd) return alert("Please enter the Completed Resume JSON");
-    if (!company) return alert("Please enter the Company Name");
-    if (!role) return alert("Please enter the Role Name");
+  const secondaryButtonStyle = useMemo(() => ({
+    padding: "12px 20px",
+    fontSize: "15px",
+    fontWeight: "600",
+    color: "#fff",
+    background: tailoring ? "#ccc" : "#667eea",
+    border: "none",
+    borderRadius: "10px",
+    cursor: tailoring ? "not-allowed" : "pointer",
+    marginTop: "12px"
+  }), [tailoring]);
 
-    setDisable(true);
+  // Ask the configured LLM provider to turn the job description into completed resume JSON
+  const tailorFromJobDescription = useCallback(async () => {
+    if (tailoring) return;
+    if (!selectedProfile) return setNotice(errorNotice("Please select a profile"));
+    if (!jobDescription.trim()) return setNotice(errorNotice("Please paste the Job Description"));
+
+    setTailoring(true);
+    setNotice(null);
 
     try {
-      const genRes = await fetch("/api/generate", {
+      const tailorRes = await fetch("/api/tailor", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ 
+        body: JSON.stringify({
           profile: selectedProfile,
-          jd: jd,
+          jd: jobDescription,
           company: company,
           role: role
         })
       });
 
+      if (!tailorRes.ok) {
+        throw await apiErrorFrom(tailorRes, "Failed to tailor resume");
+      }
+      const result = await tailorRes.json();
+
+      setJd(JSON.stringify(result.data, null, 2));
+    } catch (error) {
+      setNotice(errorNotice(error.message, error.details));
+    } finally {
+      setTailoring(false);
+    }
+  }, [tailoring, selectedProfile, jobDescription, company, role]);
+
+  const downloadButtonStyle = useMemo(() => ({
+    flex: 1,
+    padding: "12px",
+    fontSize: "15px",
+    fontWeight: "600",
+    color: disable ? "#999" : "#667eea",
+    background: "#fff",
+    border: `2px solid ${disable ? "#ccc" : "#667eea"}`,
+    borderRadius: "10px",
+    cursor: disable ? "not-allowed" : "pointer"
+  }), [disable]);
+
+  // Score keyword coverage of the completed resume JSON against the job description
+  const checkScore = useCallback(async () => {
+    if (scoring) return;
+    if (!jobDescription.trim()) return setNotice(errorNotice("Please paste the Job Description"));
+    if (!jd.trim()) return setNotice(errorNotice("Please enter the Completed Resume JSON"));
+
+    setScoring(true);
+    setNotice(null);
+
+    try {
+      const scoreRes = await fetch("/api/score", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          jobDescription: jobDescription,
+          profile: selectedProfile || undefined,
+          resume: jd
+        })
+      });
+
+      if (!scoreRes.ok) {
+        throw await apiErrorFrom(scoreRes, "Failed to score resume");
+      }
+      const result = await scoreRes.json();
+
+      setScoreResult(result);
+    } catch (error) {
+      setNotice(errorNotice(error.message, error.details));
+    } finally {
+      setScoring(false);
+    }
+  }, [scoring, jobDescription, jd, selectedProfile]);
+
+  // Memoize generateResume function with useCallback
+  const generateResume = useCallback(async (format) => {
+    if (disable) return;
+    if (!selectedProfile) return setNotice(errorNotice("Please select a profile"));
+    if (!jd) return setNotice(errorNotice("Please enter the Completed Resume JSON"));
+    if (!company) return setNotice(errorNotice("Please enter the Company Name"));
+    if (!role) return setNotice(errorNotice("Please enter the Role Name"));
+
+    setDisable(true);
+    setNotice(null);
+    setActiveFormat(format);
+
+    try {
+      // Queued on the server and polled, so slow renders don't hold a request open
+      const genRes = await renderWithJob({
+        profile: selectedProfile,
+        jd: jd,
+        company: company,
+        role: role,
+        template: selectedTemplate || undefined,
+        sections: sectionOptions,
+        hiddenJobs: hiddenJobsOption,
+        theme: themeOption,
+        ...(format === "pdf" ? fitOptions : {}),
+        format: format
+      }, { onStatus: setRenderJob, fallbackMessage: `Failed to generate ${FORMAT_LABELS[format]}` });
+
       if (!genRes.ok) {
-        const errorText = await genRes.text();
-        console.error('Error response:', errorText);
-        
-        // Try to parse as JSON to get detailed error
-        try {
-          const errorJson = JSON.parse(errorText);
-          throw new Error(errorJson.error || "Failed to generate PDF");
-        } catch (e) {
-          throw new Error(errorText || "Failed to generate PDF");
-        }
+        // { code, message, details } with field-level details for the notice
+        const error = await apiErrorFrom(genRes, `Failed to generate ${FORMAT_LABELS[format]}`);
+        console.error("Error response:", error.code, error.message);
+        throw error;
       }
 
       const blob = await genRes.blob();
@@ -175,127 +689,665 @@ export default function Home() {
       
       // Generate filename from profile name, company and role
       const profileName = selectedProfileData ? selectedProfileData.name : selectedProfile;
-      const profileSanitized = sanitizeFilename(profileName);
-      const companySanitized = sanitizeFilename(company);
-      const roleSanitized = sanitizeFilename(role);
-      const filename = `${profileSanitized}_${companySanitized}_${roleSanitized}.pdf`;
-      
-      a.download = filename;
+      a.download = buildFilename(profileName, company, role, format);
+      a.click();
+      window.URL.revokeObjectURL(url);
+
+      setNotice(successNotice("✅ Resume generated successfully!" + describeFit(genRes.headers.get("X-Fit-Report"))));
+    } catch (error) {
+      setNotice(errorNotice(error.message, error.details));
+    } finally {
+      setDisable(false);
+      setActiveFormat(null);
+      setRenderJob(null);
+    }
+  }, [disable, selectedProfile, jd, company, role, selectedTemplate, sectionOptions, hiddenJobsOption, themeOption, fitOptions, selectedProfileData]);
+
+  // Generate the PDF on the server and email it as an attachment
+  const sendResume = useCallback(async () => {
+    if (disable) return;
+    if (!selectedProfile) return setNotice(errorNotice("Please select a profile"));
+    if (!jd) return setNotice(errorNotice("Please enter the Completed Resume JSON"));
+    if (!company) return setNotice(errorNotice("Please enter the Company Name"));
+    if (!role) return setNotice(errorNotice("Please enter the Role Name"));
+    if (!sendTo.trim()) return setNotice(errorNotice("Please enter the recipient email"));
+
+    setDisable(true);
+    setNotice(null);
+    setActiveFormat("send");
+
+    try {
+      const sendRes = await fetch("/api/send", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          profile: selectedProfile,
+          jd: jd,
+          company: company,
+          role: role,
+          template: selectedTemplate || undefined,
+          sections: sectionOptions,
+          hiddenJobs: hiddenJobsOption,
+          theme: themeOption,
+          ...fitOptions,
+          to: sendTo,
+          subject: sendSubject || undefined,
+          message: sendMessage || undefined
+        })
+      });
+
+      if (!sendRes.ok) {
+        throw await apiErrorFrom(sendRes, "Failed to send resume");
+      }
+
+      const result = await sendRes.json();
+      setNotice(successNotice(`✅ ${result.filename} sent to ${result.to}` + describeFit(result.fit)));
+    } catch (error) {
+      setNotice(errorNotice(error.message, error.details));
+    } finally {
+      setDisable(false);
+      setActiveFormat(null);
+    }
+  }, [disable, selectedProfile, jd, company, role, selectedTemplate, sectionOptions, hiddenJobsOption, themeOption, fitOptions, sendTo, sendSubject, sendMessage]);
+
+  // Cover letters use their own template and JSON, but the same profile, company and role
+  const generateCoverLetter = useCallback(async () => {
+    if (disable) return;
+    if (!selectedProfile) return setNotice(errorNotice("Please select a profile"));
+    if (!coverLetter) return setNotice(errorNotice("Please enter the Cover Letter JSON"));
+    if (!company) return setNotice(errorNotice("Please enter the Company Name"));
+    if (!role) return setNotice(errorNotice("Please enter the Role Name"));
+
+    setDisable(true);
+    setNotice(null);
+    setActiveFormat("cover-letter");
+
+    try {
+      const genRes = await renderWithJob({
+        profile: selectedProfile,
+        jd: coverLetter,
+        company: company,
+        role: role,
+        format: "pdf",
+        type: "cover-letter",
+        theme: themeOption
+      }, { onStatus: setRenderJob, fallbackMessage: "Failed to generate cover letter" });
+
+      if (!genRes.ok) {
+        throw await apiErrorFrom(genRes, "Failed to generate cover letter");
+      }
+
+      const blob = await genRes.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      const profileName = selectedProfileData ? selectedProfileData.name : selectedProfile;
+      a.download = buildFilename(profileName, company, role, "pdf", "CoverLetter");
       a.click();
       window.URL.revokeObjectURL(url);
 
-      alert("✅ Resume generated successfully!");
+      setNotice(successNotice("✅ Cover letter generated successfully!"));
     } catch (error) {
-      alert(`❌ Error: ${error.message}`);
+      setNotice(errorNotice(error.message, error.details));
     } finally {
       setDisable(false);
+      setActiveFormat(null);
+      setRenderJob(null);
     }
-  }, [disable, selectedProfile, jd, company, role, selectedProfileData]);
+  }, [disable, selectedProfile, coverLetter, company, role, themeOption, selectedProfileData]);
+
+  const generatePDF = useCallback(() => generateResume("pdf"), [generateResume]);
+  const generateDOCX = useCallback(() => generateResume("docx"), [generateResume]);
+  const generateTXT = useCallback(() => generateResume("txt"), [generateResume]);
+  const generateMD = useCallback(() => generateResume("md"), [generateResume]);
 
   // Memoize handlers to prevent re-renders
   const handleProfileChange = useCallback((e) => setSelectedProfile(e.target.value), []);
   const handleCompanyChange = useCallback((e) => setCompany(e.target.value), []);
   const handleRoleChange = useCallback((e) => setRole(e.target.value), []);
+  const handleTemplateChange = useCallback((e) => setSelectedTemplate(e.target.value), []);
   const handleJdChange = useCallback((e) => setJd(e.target.value), []);
+  const handleJobDescriptionChange = useCallback((e) => setJobDescription(e.target.value), []);
+  const handleSendToChange = useCallback((e) => setSendTo(e.target.value), []);
+  const handleSendSubjectChange = useCallback((e) => setSendSubject(e.target.value), []);
+  const handleSendMessageChange = useCallback((e) => setSendMessage(e.target.value), []);
+  const handleCoverLetterChange = useCallback((e) => setCoverLetter(e.target.value), []);
+  const handleMaxPagesChange = useCallback((e) => setMaxPages(e.target.value), []);
+  const handleTrimBulletsChange = useCallback((e) => setTrimBullets(e.target.checked), []);
+  const setThemeField = useCallback((key, value) => {
+    setThemeOverrides(prev => ({ ...prev, [key]: value }));
+  }, []);
+  const toggleSection = useCallback((id) => {
+    setHiddenSections(prev => (prev.includes(id) ? prev.filter(s => s !== id) : [...prev, id]));
+  }, []);
+  const toggleJob = useCallback((index) => {
+    setHiddenJobs(prev => (prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]));
+  }, []);
 
   return (
     <div style={containerStyle}>
-      <div style={cardStyle}>
-        <h1 style={titleStyle}>
-          📄 Resume to PDF Converter
-        </h1>
-        <p style={subtitleStyle}>
-          Select your profile, paste the completed resume JSON, and convert it to PDF!
-        </p>
-
-        {/* Profile Selection */}
-        <div style={{ marginBottom: "30px" }}>
-          <label style={labelStyle}>
-            Select Profile <span style={{ color: "#e74c3c" }}>*</span>
-          </label>
-          <select
-            value={selectedProfile}
-            onChange={handleProfileChange}
-            style={selectStyle}
+      <div style={layoutStyle}>
+        <div style={formCardStyle}>
+          <h1 style={titleStyle}>
+            📄 Resume to PDF Converter
+          </h1>
+          <p style={subtitleStyle}>
+            Select your profile, paste the completed resume JSON, and convert it to PDF!
+          </p>
+
+          {/* Profile Selection */}
+          <div style={{ marginBottom: "30px" }}>
+            <label style={labelStyle}>
+              Select Profile <span style={{ color: "#e74c3c" }}>*</span>
+            </label>
+            <select
+              value={selectedProfile}
+              onChange={handleProfileChange}
+              style={selectStyle}
+            >
+              <option value="">-- Select a profile --</option>
+              {profiles.map(profile => (
+                <option key={profile.id} value={profile.id}>
+                  {profile.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Template Selection */}
+          <div style={{ marginBottom: "30px" }}>
+            <label style={labelStyle}>
+              Template
+            </label>
+            <select
+              value={selectedTemplate}
+              onChange={handleTemplateChange}
+              style={selectStyle}
+            >
+              {templates.map(template => (
+                <option key={template.id} value={template.id}>
+                  {template.name} ({template.pageSize})
+                </option>
+              ))}
+            </select>
+            {selectedTemplateData?.description && (
+              <p style={hintStyle}>{selectedTemplateData.description}</p>
+            )}
+          </div>
+
+          {/* Sections to leave out of this resume */}
+          <div style={{ marginBottom: "30px" }}>
+            <label style={labelStyle}>
+              Hide Sections
+            </label>
+            <div style={sectionToggleRowStyle}>
+              {RESUME_SECTIONS.map(id => (
+                <label key={id} style={sectionToggleStyle}>
+                  <input
+                    type="checkbox"
+                    checked={hiddenSections.includes(id)}
+                    onChange={() => toggleSection(id)}
+                  />
+                  {SECTION_LABELS[id]}
+                </label>
+              ))}
+            </div>
+            <p style={hintStyle}>
+              Leave all unchecked to use the section order and hidden sections saved in the profile. Empty sections are always skipped.
+            </p>
+          </div>
+
+          {profileJobs.length > 0 && (
+            <div style={{ marginBottom: "30px" }}>
+              <label style={labelStyle}>
+                Hide Jobs
+              </label>
+              <div style={jobToggleListStyle}>
+                {profileJobs.map((job, idx) => (
+                  <label key={idx} style={sectionToggleStyle}>
+                    <input
+                      type="checkbox"
+                      checked={hiddenJobs.includes(idx)}
+                      onChange={() => toggleJob(idx)}
+                    />
+                    {job.title ? `${job.title} · ${job.company}` : job.company}
+                    {job.start_date && <span style={{ color: "#999" }}>({job.start_date} – {job.end_date})</span>}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Shrink the PDF onto a page count */}
+          <div style={{ marginBottom: "30px" }}>
+            <label style={labelStyle}>
+              Page Limit (PDF)
+            </label>
+            <select
+              value={maxPages}
+              onChange={handleMaxPagesChange}
+              style={selectStyle}
+            >
+              <option value="">No limit</option>
+              {MAX_PAGE_OPTIONS.map(n => (
+                <option key={n} value={n}>
+                  {n} page{n === 1 ? "" : "s"}
+                </option>
+              ))}
+            </select>
+            {maxPages && (
+              <label style={{ ...sectionToggleStyle, ...sectionToggleRowStyle, marginTop: "10px" }}>
+                <input
+                  type="checkbox"
+                  checked={trimBullets}
+                  onChange={handleTrimBulletsChange}
+                />
+                Drop bullets from the oldest jobs if tighter spacing is not enough
+              </label>
+            )}
+            <p style={hintStyle}>
+              Margins, line spacing and font scale are tightened until the PDF fits. Generation fails if it still does not.
+            </p>
+          </div>
+
+          {/* Per-generation overrides of the profile's theme */}
+          <div style={{ marginBottom: "30px" }}>
+            <label style={labelStyle}>
+              Paper & Style
+            </label>
+            <div style={themeGridStyle}>
+              <div>
+                <label style={themeLabelStyle}>Paper size</label>
+                <select
+                  value={themeOverrides.paperSize || ""}
+                  onChange={(e) => setThemeField("paperSize", e.target.value)}
+                  style={{ ...themeInputStyle, cursor: "pointer" }}
+                >
+                  <option value="">Profile default</option>
+                  {PAPER_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+                </select>
+              </div>
+              <div>
+                <label style={themeLabelStyle}>Font</label>
+                <select
+                  value={themeOverrides.fontFamily || ""}
+                  onChange={(e) => setThemeField("fontFamily", e.target.value)}
+                  style={{ ...themeInputStyle, cursor: "pointer" }}
+                >
+                  <option value="">Profile default</option>
+                  {Object.entries(FONT_FAMILIES).map(([label, family]) => (
+                    <option key={label} value={family}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label style={themeLabelStyle}>Header alignment</label>
+                <select
+                  value={themeOverrides.headerAlign || ""}
+                  onChange={(e) => setThemeField("headerAlign", e.target.value)}
+                  style={{ ...themeInputStyle, cursor: "pointer" }}
+                >
+                  <option value="">Profile default</option>
+                  {HEADER_ALIGNMENTS.map(align => <option key={align} value={align}>{align}</option>)}
+                </select>
+              </div>
+              <div>
+                <label style={themeLabelStyle}>Base font size (pt)</label>
+                <input
+                  type="number"
+                  min="7"
+                  max="14"
+                  step="0.5"
+                  value={themeOverrides.fontSize || ""}
+                  placeholder="Profile default"
+                  onChange={(e) => setThemeField("fontSize", e.target.value)}
+                  style={themeInputStyle}
+                />
+              </div>
+              <div>
+                <label style={themeLabelStyle}>Margins</label>
+                <input
+                  type="text"
+                  value={themeOverrides.margin || ""}
+                  placeholder="e.g. 15mm 18mm"
+                  onChange={(e) => setThemeField("margin", e.target.value)}
+                  style={themeInputStyle}
+                />
+              </div>
+              <div>
+                <label style={themeLabelStyle}>Accent color</label>
+                <input
+                  type="text"
+                  value={themeOverrides.accentColor || ""}
+                  placeholder="e.g. #2b6cb0"
+                  onChange={(e) => setThemeField("accentColor", e.target.value)}
+                  style={themeInputStyle}
+                />
+              </div>
+            </div>
+            <p style={hintStyle}>
+              Empty fields use the theme saved in the profile, then the template defaults.
+            </p>
+          </div>
+
+          <div style={{ marginBottom: "30px" }}>
+            <label style={labelStyle}>
+              Company Name <span style={{ color: "#e74c3c" }}>*</span>
+            </label>
+            <input
+              type="text"
+              value={company}
+              onChange={handleCompanyChange}
+              placeholder="e.g., Google, Amazon..."
+              style={inputBaseStyle}
+            />
+          </div>
+
+          <div style={{ marginBottom: "30px" }}>
+            <label style={labelStyle}>
+              Role Name <span style={{ color: "#e74c3c" }}>*</span>
+            </label>
+            <input
+              type="text"
+              value={role}
+              onChange={handleRoleChange}
+              placeholder="e.g., Senior Software Engineer, Product Manager..."
+              style={inputBaseStyle}
+            />
+          </div>
+
+          {/* Job Description (optional, used to tailor) */}
+          <div style={{ marginBottom: "30px" }}>
+            <label style={labelStyle}>
+              Job Description
+            </label>
+            <textarea
+              value={jobDescription}
+              onChange={handleJobDescriptionChange}
+              placeholder="Optional: paste the job posting to generate the completed resume JSON automatically..."
+              rows="8"
+              style={textareaStyle}
+            />
+            <button
+              onClick={tailorFromJobDescription}
+              disabled={tailoring}
+              style={secondaryButtonStyle}
+            >
+              {tailoring ? "⏳ Tailoring..." : "✨ Tailor from Job Description"}
+            </button>
+          </div>
+
+          {/* Completed Resume JSON */}
+          <div style={{ marginBottom: "30px" }}>
+            <label style={labelStyle}>
+              Completed Resume JSON <span style={{ color: "#e74c3c" }}>*</span>
+            </label>
+            <textarea
+              value={jd}
+              onChange={handleJdChange}
+              placeholder='Paste the completed resume JSON here... (format: {"title":"...","summary":"...","skills":{...},"experience":[...]})'
+              rows="12"
+              style={jdTextareaStyle}
+            />
+            {previewError && (
+              <div style={inlineErrorStyle}>
+                <strong>{previewError.message}</strong>
+                {previewError.details.length > 0 && (
+                  <ul style={issueListStyle}>
+                    {previewError.details.map((detail, idx) => (
+                      <li key={idx}><code>{detail.path}</code> {detail.message}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+            {!previewError && previewWarnings.length > 0 && (
+              <div style={inlineWarningStyle}>
+                <strong>Warnings</strong>
+                <ul style={issueListStyle}>
+                  {previewWarnings.map((warning, idx) => (
+                    <li key={idx}><code>{warning.path}</code> {warning.message}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+
+          {/* ATS Match Score */}
+          <div style={scorePanelStyle}>
+            <div style={scoreHeaderStyle}>
+              <h3 style={{ ...infoTitleStyle, margin: 0 }}>
+                🎯 ATS Match Score
+              </h3>
+              <button
+                onClick={checkScore}
+                disabled={scoring}
+                style={{ ...secondaryButtonStyle, marginTop: 0, background: scoring ? "#ccc" : "#667eea" }}
+              >
+                {scoring ? "⏳ Scoring..." : "Check Match"}
+              </button>
+            </div>
+            {scoreResult ? (
+              <div style={{ marginTop: "15px" }}>
+                <div style={{ fontSize: "32px", fontWeight: "bold", color: scoreColor(scoreResult.score) }}>
+                  {scoreResult.score}%
+                </div>
+                {["summary", "skills", "experience", "text"].filter(name => scoreResult.sections[name]).map(name => (
+                  <div key={name} style={coverageRowStyle}>
+                    <span style={{ width: "90px", textTransform: "capitalize" }}>{name}</span>
+                    <div style={coverageTrackStyle}>
+                      <div style={{ width: `${scoreResult.sections[name].coverage}%`, height: "100%", background: scoreColor(scoreResult.sections[name].coverage) }} />
+                    </div>
+                    <span style={{ width: "40px", textAlign: "right" }}>{scoreResult.sections[name].coverage}%</span>
+                  </div>
+                ))}
+                {scoreResult.sections.skills && Object.entries(scoreResult.sections.skills.categories).map(([category, report]) => (
+                  <div key={category} style={{ ...coverageRowStyle, paddingLeft: "16px" }}>
+                    <span>{category}: {report.matched.length > 0 ? report.matched.join(", ") : "no matches"}</span>
+                  </div>
+                ))}
+                {scoreResult.missing.length > 0 && (
+                  <div style={{ marginTop: "15px" }}>
+                    <div style={{ ...labelStyle, fontSize: "13px" }}>Missing keywords</div>
+                    {scoreResult.missing.map(term => <span key={term} style={missingChipStyle}>{term}</span>)}
+                  </div>
+                )}
+                {scoreResult.matched.length > 0 && (
+                  <div style={{ marginTop: "10px" }}>
+                    <div style={{ ...labelStyle, fontSize: "13px" }}>Matched keywords</div>
+                    {scoreResult.matched.map(term => <span key={term} style={matchedChipStyle}>{term}</span>)}
+                  </div>
+                )}
+              </div>
+            ) : (
+              <p style={{ ...hintStyle, marginTop: "10px" }}>
+                Compare the completed resume JSON with the job description before converting.
+              </p>
+            )}
+          </div>
+
+          {/* Generate Button */}
+          <button
+            onClick={generatePDF}
+            disabled={disable}
+            style={buttonStyle}
           >
-            <option value="">-- Select a profile --</option>
-            {profiles.map(profile => (
-              <option key={profile.id} value={profile.id}>
-                {profile.name}
-              </option>
-            ))}
-          </select>
-        </div>
+            {activeFormat === "pdf" ? `⏳ ${jobProgress || "Converting to PDF..."}` : "📄 Convert to PDF"}
+          </button>
 
-        <div style={{ marginBottom: "30px" }}>
-          <label style={labelStyle}>
-            Company Name <span style={{ color: "#e74c3c" }}>*</span>
-          </label>
-          <input
-            type="text"
-            value={company}
-            onChange={handleCompanyChange}
-            placeholder="e.g., Google, Amazon..."
-            style={inputBaseStyle}
-          />
-        </div>
+          {/* Other export formats */}
+          <div style={downloadRowStyle}>
+            <button
+              onClick={generateDOCX}
+              disabled={disable}
+              style={downloadButtonStyle}
+            >
+              {activeFormat === "docx" ? `⏳ ${jobProgress || "Generating..."}` : "📝 Download DOCX"}
+            </button>
+            <button
+              onClick={generateTXT}
+              disabled={disable}
+              style={downloadButtonStyle}
+            >
+              {activeFormat === "txt" ? `⏳ ${jobProgress || "Generating..."}` : "🔤 Download TXT"}
+            </button>
+            <button
+              onClick={generateMD}
+              disabled={disable}
+              style={downloadButtonStyle}
+            >
+              {activeFormat === "md" ? `⏳ ${jobProgress || "Generating..."}` : "Ⓜ️ Download MD"}
+            </button>
+          </div>
 
-        <div style={{ marginBottom: "30px" }}>
-          <label style={labelStyle}>
-            Role Name <span style={{ color: "#e74c3c" }}>*</span>
-          </label>
-          <input
-            type="text"
-            value={role}
-            onChange={handleRoleChange}
-            placeholder="e.g., Senior Software Engineer, Product Manager..."
-            style={inputBaseStyle}
-          />
-        </div>
+          {/* Email the PDF */}
+          <div style={sendPanelStyle}>
+            <h3 style={{ ...infoTitleStyle, margin: 0 }}>
+              📧 Send by Email
+            </h3>
+            <div style={sendFieldStyle}>
+              <label style={labelStyle}>Recipient Email</label>
+              <input
+                type="email"
+                value={sendTo}
+                onChange={handleSendToChange}
+                placeholder="recruiter@company.com"
+                style={sendInputStyle}
+              />
+            </div>
+            <div style={sendFieldStyle}>
+              <label style={labelStyle}>Subject</label>
+              <input
+                type="text"
+                value={sendSubject}
+                onChange={handleSendSubjectChange}
+                placeholder={`${selectedProfileData?.name || "Name"} - ${role || "Role"} application at ${company || "Company"}`}
+                style={sendInputStyle}
+              />
+            </div>
+            <div style={sendFieldStyle}>
+              <label style={labelStyle}>Message</label>
+              <textarea
+                value={sendMessage}
+                onChange={handleSendMessageChange}
+                placeholder="Optional cover message. A short default note is used when empty."
+                rows={4}
+                style={{ ...textareaStyle, boxSizing: "border-box" }}
+              />
+            </div>
+            <div style={downloadRowStyle}>
+              <button
+                onClick={sendResume}
+                disabled={disable}
+                style={downloadButtonStyle}
+              >
+                {activeFormat === "send" ? "⏳ Sending..." : "📧 Send PDF"}
+              </button>
+            </div>
+          </div>
 
-        {/* Completed Resume JSON */}
-        <div style={{ marginBottom: "30px" }}>
-          <label style={labelStyle}>
-            Completed Resume JSON <span style={{ color: "#e74c3c" }}>*</span>
-          </label>
-          <textarea
-            value={jd}
-            onChange={handleJdChange}
-            placeholder='Paste the completed resume JSON here... (format: {"title":"...","summary":"...","skills":{...},"experience":[...]})'
-            rows="12"
-            style={textareaStyle}
-          />
-        </div>
+          {/* Cover letter for the same application */}
+          <div style={coverLetterPanelStyle}>
+            <h3 style={{ ...infoTitleStyle, margin: 0 }}>
+              ✉️ Cover Letter
+            </h3>
+            <div style={sendFieldStyle}>
+              <label style={labelStyle}>Cover Letter JSON</label>
+              <textarea
+                value={coverLetter}
+                onChange={handleCoverLetterChange}
+                placeholder='Paste the cover letter JSON here... (format: {"greeting":"Dear Hiring Manager,","paragraphs":["...","..."],"closing":"Sincerely,"})'
+                rows={6}
+                style={{ ...textareaStyle, boxSizing: "border-box" }}
+              />
+            </div>
+            <div style={downloadRowStyle}>
+              <button
+                onClick={generateCoverLetter}
+                disabled={disable}
+                style={downloadButtonStyle}
+              >
+                {activeFormat === "cover-letter" ? `⏳ ${jobProgress || "Converting..."}` : "✉️ Convert Cover Letter to PDF"}
+              </button>
+            </div>
+          </div>
+
+          {/* Info Box */}
+          <div style={infoBoxStyle}>
+            <h3 style={infoTitleStyle}>
+              💡 How it works:
+            </h3>
+            <ul style={infoListStyle}>
+              <li>Select your profile (name, contacts, work history, education) and a template layout</li>
+              <li>Paste the job description and click Tailor, or paste the completed resume JSON (title, summary, skills, experience bullets) yourself</li>
+              <li>Enter company and role name for filename</li>
+              <li>Download your resume as a PDF (or Word DOCX, plain text or Markdown for "paste your resume" forms)!</li>
+              <li>Or email the PDF straight to a recruiter with Send by Email</li>
+              <li>Need a cover letter too? Paste its JSON (greeting, paragraphs, closing) and it is rendered with the same profile header</li>
+            </ul>
+          </div>
 
-        {/* Generate Button */}
-        <button
-          onClick={generatePDF}
-          disabled={disable}
-          style={buttonStyle}
-        >
-          {disable ? "⏳ Converting to PDF..." : "📄 Convert to PDF"}
-        </button>
-
-        {/* Info Box */}
-        <div style={infoBoxStyle}>
-          <h3 style={infoTitleStyle}>
-            💡 How it works:
-          </h3>
-          <ul style={infoListStyle}>
-            <li>Select your profile (name, contacts, work history, education)</li>
-            <li>Paste the completed resume JSON (title, summary, skills, experience bullets)</li>
-            <li>Enter company and role name for filename</li>
-            <li>Download your resume as a PDF!</li>
-          </ul>
+          {/* Footer */}
+          <div style={footerStyle}>
+            <p style={{ margin: 0 }}>
+              Resume to PDF Converter
+            </p>
+            <p style={{ margin: "8px 0 0" }}>
+              <a href="/profiles" style={footerLinkStyle}>👤 Manage Profiles</a>
+              <a href="/parse" style={footerLinkStyle}>📄 Import from PDF</a>
+              <a href="/history" style={footerLinkStyle}>🕘 History</a>
+              {session?.user?.role === "admin" && (
+                <a href="/users" style={footerLinkStyle}>👥 Users</a>
+              )}
+            </p>
+            {session?.user && !session.authDisabled && (
+              <p style={{ margin: "8px 0 0" }}>
+                Signed in as {session.user.username} ({session.user.role})
+                <button onClick={signOut} style={footerButtonStyle}>Sign out</button>
+              </p>
+            )}
+          </div>
         </div>
 
-        {/* Footer */}
-        <div style={footerStyle}>
-          <p style={{ margin: 0 }}>
-            Resume to PDF Converter
-          </p>
+        {/* Live Preview */}
+        <div style={previewCardStyle}>
+          <div style={previewHeaderStyle}>
+            <h2 style={{ ...infoTitleStyle, margin: 0 }}>
+              👀 Live Preview
+            </h2>
+            <span style={{ fontSize: "13px", color: "#999" }}>
+              {previewLoading ? "Rendering..." : selectedTemplateData ? `${selectedTemplateData.name} · ${previewPaperSize}` : ""}
+            </span>
+          </div>
+          {previewHtml ? (
+            <iframe
+              title="Resume preview"
+              srcDoc={previewHtml}
+              style={{ ...previewFrameStyle, opacity: previewError ? 0.4 : 1 }}
+            />
+          ) : (
+            <div style={previewPlaceholderStyle}>
+              Select a profile and paste the completed resume JSON to see a preview.
+            </div>
+          )}
         </div>
       </div>
+
+      {notice && (
+        <div role={notice.type === "error" ? "alert" : "status"} style={notice.type === "error" ? noticeStyle : successNoticeStyle}>
+          <button onClick={() => setNotice(null)} style={noticeCloseStyle} aria-label="Dismiss">
+            ×
+          </button>
+          <strong>{notice.type === "error" ? "❌ " : ""}{notice.message}</strong>
+          {notice.details.length > 0 && (
+            <ul style={issueListStyle}>
+              {notice.details.map((detail, idx) => (
+                <li key={idx}><code>{detail.path}</code> {detail.message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
     </div>
   );
 }
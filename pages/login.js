@@ -0,0 +1,182 @@
+import { useState, useCallback, useEffect } from "react";
+import { readApiError } from "../lib/errors";
+import { safeNextPath } from "../lib/redirect";
+
+const containerStyle = {
+  maxWidth: 400,
+  margin: "80px auto",
+  fontFamily: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+  background: "#f9f9f9",
+  padding: "30px",
+  borderRadius: "12px",
+  boxShadow: "0 4px 12px rgba(0,0,0,0.1)"
+};
+
+const titleStyle = {
+  textAlign: "center",
+  color: "#333",
+  marginBottom: "10px"
+};
+
+const subtitleStyle = {
+  textAlign: "center",
+  color: "#666",
+  marginBottom: "25px"
+};
+
+const labelStyle = {
+  display: "block",
+  fontWeight: "bold",
+  fontSize: "13px",
+  marginBottom: "4px",
+  color: "#555"
+};
+
+const inputStyle = {
+  width: "100%",
+  padding: "10px",
+  borderRadius: "6px",
+  border: "1px solid #ccc",
+  fontSize: "14px",
+  boxSizing: "border-box",
+  marginBottom: "15px"
+};
+
+const buttonStyle = {
+  width: "100%",
+  border: "none",
+  padding: "12px",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontSize: "15px",
+  fontWeight: "bold",
+  background: "#4CAF50",
+  color: "#fff"
+};
+
+const ssoButtonStyle = {
+  ...buttonStyle,
+  display: "block",
+  boxSizing: "border-box",
+  textAlign: "center",
+  textDecoration: "none",
+  background: "#607d8b",
+  marginTop: "10px"
+};
+
+const errorStyle = {
+  background: "#ffebee",
+  color: "#c62828",
+  padding: "12px 15px",
+  borderRadius: "8px",
+  marginBottom: "20px",
+  border: "1px solid #ef5350",
+  fontSize: "14px"
+};
+
+const noteStyle = {
+  textAlign: "center",
+  color: "#999",
+  fontSize: "13px",
+  marginTop: "20px"
+};
+
+export default function Login() {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [next, setNext] = useState("/");
+  const [oidc, setOidc] = useState(null);
+  const [error, setError] = useState(null);
+  const [signingIn, setSigningIn] = useState(false);
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    setNext(safeNextPath(params.get("next")));
+    // Set by the single sign-on callback when it fails
+    if (params.get("error")) setError(params.get("error"));
+
+    fetch("/api/auth/session")
+      .then(res => res.json())
+      .then(data => {
+        // Already signed in (or sign-in turned off): nothing to do here
+        if (data.user) {
+          window.location.replace(safeNextPath(params.get("next")));
+          return;
+        }
+        if (data.oidc?.enabled) setOidc(data.oidc);
+      })
+      .catch(err => console.error("Failed to load session:", err));
+  }, []);
+
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    setSigningIn(true);
+    setError(null);
+
+    try {
+      const response = await fetch("/api/auth/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username, password })
+      });
+      if (!response.ok) {
+        const { message } = await readApiError(response, "Sign-in failed");
+        setError(message);
+        return;
+      }
+      window.location.assign(next);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSigningIn(false);
+    }
+  }, [username, password, next]);
+
+  return (
+    <div style={containerStyle}>
+      <h1 style={titleStyle}>
+        🔐 Sign in
+      </h1>
+      <p style={subtitleStyle}>
+        Resume Generator
+      </p>
+
+      {error && <div style={errorStyle}>{error}</div>}
+
+      <form onSubmit={handleSubmit}>
+        <label style={labelStyle} htmlFor="username">Username</label>
+        <input
+          id="username"
+          type="text"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          style={inputStyle}
+          autoFocus
+        />
+        <label style={labelStyle} htmlFor="password">Password</label>
+        <input
+          id="password"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          style={inputStyle}
+        />
+        <button type="submit" disabled={signingIn || !username || !password} style={{ ...buttonStyle, opacity: signingIn || !username || !password ? 0.7 : 1 }}>
+          {signingIn ? "Signing in..." : "Sign in"}
+        </button>
+      </form>
+
+      {oidc && (
+        <a href={`/api/auth/oidc/login?next=${encodeURIComponent(next)}`} style={ssoButtonStyle}>
+          {oidc.label}
+        </a>
+      )}
+
+      <p style={noteStyle}>
+        Accounts are created by an admin
+      </p>
+    </div>
+  );
+}
@@ -1,4 +1,6 @@
 import { useState, useCallback, useMemo } from "react";
+import { apiErrorFrom } from "../lib/errors";
+import { useSession } from "../lib/useSession";
 
 // Move utility function outside component
 const getFileName = (name) => (name?.replace(/\s+/g, "_") || "resume") + ".json";
@@ -66,6 +68,14 @@ const errorStyle = {
   border: "1px solid #ef5350"
 };
 
+const successStyle = {
+  background: "#e8f5e9",
+  color: "#2e7d32",
+  padding: "15px",
+  borderRadius: "8px",
+  marginBottom: "20px"
+};
+
 const resultCardStyle = {
   background: "#fff",
   padding: "25px",
@@ -102,6 +112,13 @@ const copyButtonStyle = {
 const downloadButtonStyle = {
   ...buttonBaseStyle,
   background: "#4CAF50",
+  color: "#fff",
+  marginRight: "10px"
+};
+
+const saveProfileButtonStyle = {
+  ...buttonBaseStyle,
+  background: "#673AB7",
   color: "#fff"
 };
 
@@ -131,31 +148,39 @@ const linkStyle = {
 };
 
 export default function ParseResume() {
+  // Sends expired sessions back to the login page
+  useSession();
   const [file, setFile] = useState(null);
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [savedProfile, setSavedProfile] = useState(null);
+  const [saving, setSaving] = useState(false);
 
   const handleFileChange = useCallback((e) => {
     const selectedFile = e.target.files[0];
     if (selectedFile && selectedFile.type === "application/pdf") {
       setFile(selectedFile);
       setError(null);
+      setMessage(null);
       setResult(null);
+      setSavedProfile(null);
     } else {
-      setError("Please select a valid PDF file");
+      setError({ message: "Please select a valid PDF file" });
       setFile(null);
     }
   }, []);
 
   const handleUpload = useCallback(async () => {
     if (!file) {
-      setError("Please select a PDF file first");
+      setError({ message: "Please select a PDF file first" });
       return;
     }
 
     setLoading(true);
     setError(null);
+    setMessage(null);
 
     try {
       const formData = new FormData();
@@ -166,15 +191,14 @@ export default function ParseResume() {
         body: formData,
       });
 
-      const data = await response.json();
-
       if (!response.ok) {
-        throw new Error(data.error || "Failed to parse resume");
+        throw await apiErrorFrom(response, "Failed to parse resume");
       }
 
+      const data = await response.json();
       setResult(data.data);
     } catch (err) {
-      setError(err.message || "Failed to parse resume");
+      setError({ message: err.message || "Failed to parse resume", details: err.details });
     } finally {
       setLoading(false);
     }
@@ -195,10 +219,43 @@ export default function ParseResume() {
     URL.revokeObjectURL(url);
   }, [result]);
 
-  const copyToClipboard = useCallback(() => {
+  // Store the parsed JSON as a profile so it shows up on the main page right away
+  const saveAsProfile = useCallback(async () => {
+    if (!result) return;
+
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await fetch("/api/profiles", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ data: result }),
+      });
+      if (!response.ok) {
+        throw await apiErrorFrom(response, "Failed to save profile");
+      }
+
+      const data = await response.json();
+      setSavedProfile(data.id);
+    } catch (err) {
+      setError({ message: err.message || "Failed to save profile", details: err.details });
+    } finally {
+      setSaving(false);
+    }
+  }, [result]);
+
+  const copyToClipboard = useCallback(async () => {
     if (!result) return;
-    navigator.clipboard.writeText(JSON.stringify(result, null, 2));
-    alert("JSON copied to clipboard!");
+    setError(null);
+    setMessage(null);
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(result, null, 2));
+      setMessage("JSON copied to the clipboard");
+    } catch (err) {
+      setError({ message: `Could not copy the JSON: ${err.message}` });
+    }
   }, [result]);
 
   // Memoize button style based on loading state
@@ -266,9 +323,24 @@ export default function ParseResume() {
         </button>
       </div>
 
+      {message && (
+        <div style={successStyle}>
+          ✓ {message}
+        </div>
+      )}
+
       {error && (
         <div style={errorStyle}>
-          <strong>Error:</strong> {error}
+          <strong>Error:</strong> {error.message}
+          {error.details?.length > 0 && (
+            <ul style={{ margin: "8px 0 0", paddingLeft: "20px" }}>
+              {error.details.map((d, idx) => (
+                <li key={idx}>
+                  <code>{d.path}</code>: {d.message}
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
       )}
 
@@ -291,6 +363,13 @@ export default function ParseResume() {
               >
                 💾 Download JSON
               </button>
+              <button
+                onClick={saveAsProfile}
+                disabled={saving || Boolean(savedProfile)}
+                style={saveProfileButtonStyle}
+              >
+                {savedProfile ? "✓ Saved" : saving ? "Saving..." : "👤 Save as Profile"}
+              </button>
             </div>
           </div>
 
@@ -302,13 +381,18 @@ export default function ParseResume() {
 
           <div style={nextStepsStyle}>
             <strong>Next Steps:</strong>
-            <ol style={{ marginBottom: 0, paddingLeft: "20px" }}>
-              <li>Download the JSON file</li>
-              <li>Save it to the <code>resumes/</code> folder as <code>{resultFileName}</code></li>
-              <li>Copy the HTML template and save it to <code>templates/</code> folder</li>
-              <li>Restart the dev server</li>
-              <li>Your resume will appear in the dropdown on the main page!</li>
-            </ol>
+            {savedProfile ? (
+              <p style={{ margin: "8px 0 0" }}>
+                Saved as profile <code>{savedProfile}</code>. It is now in the dropdown on the main page,
+                and you can fine-tune it in the <a href={`/profiles?id=${encodeURIComponent(savedProfile)}`} style={linkStyle}>profile editor</a>.
+              </p>
+            ) : (
+              <ol style={{ marginBottom: 0, paddingLeft: "20px" }}>
+                <li>Review the parsed JSON above</li>
+                <li>Click <strong>Save as Profile</strong> (or download it and place it in <code>resumes/</code> as <code>{resultFileName}</code>)</li>
+                <li>Your resume will appear in the dropdown on the main page!</li>
+              </ol>
+            )}
           </div>
         </div>
       )}
@@ -0,0 +1,781 @@
+import { useState, useCallback, useEffect, useMemo } from "react";
+import { RESUME_SECTIONS } from "../lib/sections";
+import { FONT_FAMILIES, HEADER_ALIGNMENTS, PAPER_SIZES } from "../lib/theme";
+import { apiErrorFrom, readApiError } from "../lib/errors";
+import { fetchJson, useSession } from "../lib/useSession";
+
+const CONTACT_FIELDS = [
+  { key: "name", label: "Full Name", required: true },
+  { key: "email", label: "Email", required: true },
+  { key: "phone", label: "Phone" },
+  { key: "location", label: "Location" },
+  { key: "linkedin", label: "LinkedIn URL" },
+  { key: "website", label: "Website" }
+];
+
+const EMPTY_JOB = { company: "", title: "", location: "", start_date: "", end_date: "", details: "" };
+const EMPTY_EDUCATION = { degree: "", school: "", start_year: "", end_year: "" };
+
+// Optional sections are edited together as one JSON object
+const EXTRA_SECTIONS = ["projects", "certifications", "publications", "awards", "languages"];
+
+const EXTRA_SECTIONS_PLACEHOLDER = `{
+  "projects": [{ "name": "...", "description": "...", "technologies": ["..."] }],
+  "certifications": [{ "name": "...", "issuer": "...", "date": "2023" }],
+  "languages": [{ "language": "English", "proficiency": "Native" }]
+}`;
+
+const formatExtraSections = (data) => {
+  const extras = Object.fromEntries(EXTRA_SECTIONS.filter(key => data[key] !== undefined).map(key => [key, data[key]]));
+  return Object.keys(extras).length > 0 ? JSON.stringify(extras, null, 2) : "";
+};
+
+const parseExtraSections = (text) => {
+  if (!text.trim()) return {};
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Additional sections are not valid JSON: ${err.message}`);
+  }
+};
+
+// Profile JSON <-> form state. Bullet details are edited one per line and any
+// fields the form doesn't know about are carried through untouched.
+const toForm = (data) => ({
+  ...data,
+  experience: (data.experience || []).map(job => ({
+    ...EMPTY_JOB,
+    ...job,
+    details: (job.details || []).join("\n")
+  })),
+  education: (data.education || []).map(edu => ({ ...EMPTY_EDUCATION, ...edu })),
+  extraSections: formatExtraSections(data)
+});
+
+const dropEmpty = (obj) => Object.fromEntries(
+  Object.entries(obj).filter(([, value]) => value !== "" && value !== undefined)
+);
+
+const fromForm = (form) => {
+  const extras = parseExtraSections(form.extraSections);
+  const data = dropEmpty({ ...form, experience: undefined, education: undefined, extraSections: undefined });
+  EXTRA_SECTIONS.forEach(key => {
+    if (extras[key] === undefined) delete data[key];
+    else data[key] = extras[key];
+  });
+
+  // Only store a layout when it differs from the default
+  const order = form.section_order || [];
+  if (order.length === 0 || order.every((id, idx) => id === RESUME_SECTIONS[idx])) delete data.section_order;
+  if (!form.hidden_sections?.length) delete data.hidden_sections;
+
+  const theme = dropEmpty(form.theme || {});
+  if (theme.fontSize !== undefined) theme.fontSize = Number(theme.fontSize);
+  if (Object.keys(theme).length > 0) data.theme = theme;
+  else delete data.theme;
+
+  data.experience = form.experience.map(({ details, ...job }) => {
+    const lines = details.split("\n").map(line => line.trim()).filter(Boolean);
+    return dropEmpty({ ...job, details: lines.length > 0 ? lines : undefined });
+  });
+  data.education = form.education.map(dropEmpty);
+  return data;
+};
+
+const newProfileForm = () => toForm({ name: "", email: "", experience: [{}], education: [{}] });
+
+const containerStyle = {
+  maxWidth: 900,
+  margin: "40px auto",
+  fontFamily: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+  background: "#f9f9f9",
+  padding: "30px",
+  borderRadius: "12px",
+  boxShadow: "0 4px 12px rgba(0,0,0,0.1)"
+};
+
+const titleStyle = {
+  textAlign: "center",
+  color: "#333",
+  marginBottom: "10px"
+};
+
+const subtitleStyle = {
+  textAlign: "center",
+  color: "#666",
+  marginBottom: "30px"
+};
+
+const cardStyle = {
+  background: "#fff",
+  padding: "25px",
+  borderRadius: "8px",
+  marginBottom: "20px"
+};
+
+const toolbarStyle = {
+  display: "flex",
+  gap: "10px",
+  alignItems: "center"
+};
+
+const sectionTitleStyle = {
+  margin: "0 0 15px",
+  color: "#333",
+  fontSize: "18px"
+};
+
+const gridStyle = {
+  display: "grid",
+  gridTemplateColumns: "1fr 1fr",
+  gap: "12px 16px"
+};
+
+const labelStyle = {
+  display: "block",
+  fontWeight: "bold",
+  fontSize: "13px",
+  marginBottom: "4px",
+  color: "#555"
+};
+
+const inputStyle = {
+  width: "100%",
+  padding: "8px 10px",
+  borderRadius: "6px",
+  border: "1px solid #ccc",
+  fontSize: "14px",
+  boxSizing: "border-box"
+};
+
+const textareaStyle = {
+  ...inputStyle,
+  minHeight: "110px",
+  fontFamily: "inherit",
+  resize: "vertical"
+};
+
+const entryStyle = {
+  border: "1px solid #eee",
+  borderRadius: "8px",
+  padding: "15px",
+  marginBottom: "15px",
+  background: "#fcfcfc"
+};
+
+const entryHeaderStyle = {
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "center",
+  marginBottom: "10px",
+  color: "#777",
+  fontSize: "13px"
+};
+
+const codeTextareaStyle = {
+  ...textareaStyle,
+  fontFamily: "monospace"
+};
+
+const sectionRowStyle = {
+  ...entryHeaderStyle,
+  padding: "6px 0",
+  marginBottom: 0
+};
+
+const colorInputStyle = {
+  width: "40px",
+  height: "34px",
+  padding: "2px",
+  border: "1px solid #ccc",
+  borderRadius: "6px",
+  cursor: "pointer"
+};
+
+const sectionToggleStyle = {
+  display: "flex",
+  alignItems: "center",
+  gap: "8px"
+};
+
+const buttonBaseStyle = {
+  border: "none",
+  padding: "8px 16px",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontSize: "14px"
+};
+
+const primaryButtonStyle = {
+  ...buttonBaseStyle,
+  background: "#4CAF50",
+  color: "#fff",
+  fontWeight: "bold"
+};
+
+const secondaryButtonStyle = {
+  ...buttonBaseStyle,
+  background: "#2196F3",
+  color: "#fff"
+};
+
+const dangerButtonStyle = {
+  ...buttonBaseStyle,
+  background: "#f44336",
+  color: "#fff"
+};
+
+const smallButtonStyle = {
+  ...buttonBaseStyle,
+  padding: "4px 10px",
+  fontSize: "12px",
+  background: "#eee",
+  color: "#555"
+};
+
+const errorStyle = {
+  background: "#ffebee",
+  color: "#c62828",
+  padding: "15px",
+  borderRadius: "8px",
+  marginBottom: "20px",
+  border: "1px solid #ef5350"
+};
+
+const successStyle = {
+  background: "#e8f5e9",
+  color: "#2e7d32",
+  padding: "15px",
+  borderRadius: "8px",
+  marginBottom: "20px"
+};
+
+const warningStyle = {
+  ...successStyle,
+  background: "#fff8e1",
+  color: "#8d6e00"
+};
+
+// Styled like the buttons; wraps the hidden file input or the export download
+const fileButtonStyle = {
+  ...secondaryButtonStyle,
+  display: "inline-block",
+  background: "#607d8b",
+  textDecoration: "none",
+  whiteSpace: "nowrap"
+};
+
+const linkStyle = {
+  color: "#2196F3",
+  textDecoration: "none",
+  fontSize: "14px"
+};
+
+const Field = ({ label, value, onChange, required, placeholder }) => (
+  <div>
+    <label style={labelStyle}>
+      {label}{required && " *"}
+    </label>
+    <input
+      type="text"
+      value={value ?? ""}
+      placeholder={placeholder}
+      onChange={(e) => onChange(e.target.value)}
+      style={inputStyle}
+    />
+  </div>
+);
+
+export default function Profiles() {
+  const session = useSession();
+  const [profiles, setProfiles] = useState([]);
+  const [selectedId, setSelectedId] = useState("");
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [importWarnings, setImportWarnings] = useState([]);
+
+  const refreshList = useCallback(() => {
+    return fetchJson("/api/profiles", { fallbackMessage: "Failed to load profiles" })
+      .then(data => setProfiles(data))
+      .catch(err => setError({ message: err.message, details: err.details }));
+  }, []);
+
+  const openProfile = useCallback(async (id) => {
+    setSelectedId(id);
+    setError(null);
+    setMessage(null);
+    setImportWarnings([]);
+
+    if (!id) {
+      setForm(newProfileForm());
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/profiles?id=${encodeURIComponent(id)}`);
+      if (!response.ok) {
+        throw await apiErrorFrom(response, "Failed to load profile");
+      }
+      const data = await response.json();
+      setForm(toForm(data.data));
+    } catch (err) {
+      setForm(null);
+      setError({ message: err.message, details: err.details });
+    }
+  }, []);
+
+  // Support deep links like /profiles?id=Jane_Doe (used by the PDF parser page)
+  useEffect(() => {
+    refreshList();
+    const id = new URLSearchParams(window.location.search).get("id");
+    if (id) openProfile(id);
+  }, [refreshList, openProfile]);
+
+  const setField = useCallback((key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+  }, []);
+
+  const setEntry = useCallback((listKey, index, key, value) => {
+    setForm(prev => ({
+      ...prev,
+      [listKey]: prev[listKey].map((entry, i) => (i === index ? { ...entry, [key]: value } : entry))
+    }));
+  }, []);
+
+  const addEntry = useCallback((listKey, empty) => {
+    setForm(prev => ({ ...prev, [listKey]: [...prev[listKey], { ...empty }] }));
+  }, []);
+
+  const removeEntry = useCallback((listKey, index) => {
+    setForm(prev => ({ ...prev, [listKey]: prev[listKey].filter((_, i) => i !== index) }));
+  }, []);
+
+  const moveEntry = useCallback((listKey, index, offset) => {
+    setForm(prev => {
+      const list = [...prev[listKey]];
+      const target = index + offset;
+      if (target < 0 || target >= list.length) return prev;
+      [list[index], list[target]] = [list[target], list[index]];
+      return { ...prev, [listKey]: list };
+    });
+  }, []);
+
+  // Every section, in the profile's order (sections it doesn't list keep the default position)
+  const sectionOrder = useMemo(() => (
+    form ? [...new Set([...(form.section_order || []), ...RESUME_SECTIONS])] : []
+  ), [form]);
+
+  const moveSection = useCallback((index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= sectionOrder.length) return;
+    const order = [...sectionOrder];
+    [order[index], order[target]] = [order[target], order[index]];
+    setField("section_order", order);
+  }, [sectionOrder, setField]);
+
+  // Theme fields left empty fall back to the template's own look
+  const setThemeField = useCallback((key, value) => {
+    setForm(prev => ({ ...prev, theme: { ...prev.theme, [key]: value } }));
+  }, []);
+
+  const toggleHiddenSection = useCallback((id) => {
+    const hidden = form.hidden_sections || [];
+    setField("hidden_sections", hidden.includes(id) ? hidden.filter(s => s !== id) : [...hidden, id]);
+  }, [form, setField]);
+
+  const handleSave = useCallback(async () => {
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+    setImportWarnings([]);
+
+    try {
+      const isNew = !selectedId;
+      const response = await fetch(
+        isNew ? "/api/profiles" : `/api/profiles?id=${encodeURIComponent(selectedId)}`,
+        {
+          method: isNew ? "POST" : "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ data: fromForm(form) }),
+        }
+      );
+      if (!response.ok) {
+        setError(await readApiError(response, "Failed to save profile"));
+        return;
+      }
+
+      const data = await response.json();
+
+      setSelectedId(data.id);
+      setForm(toForm(data.data));
+      setMessage(isNew ? `Created profile "${data.id}"` : `Saved profile "${data.id}"`);
+      await refreshList();
+    } catch (err) {
+      setError({ message: err.message || "Failed to save profile" });
+    } finally {
+      setSaving(false);
+    }
+  }, [form, selectedId, refreshList]);
+
+  // Convert a JSON Resume file into a new, unsaved profile for review
+  const handleImport = useCallback(async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setError(null);
+    setMessage(null);
+    setImportWarnings([]);
+
+    try {
+      const response = await fetch("/api/json-resume/import", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ resume: await file.text() }),
+      });
+      if (!response.ok) {
+        throw await apiErrorFrom(response, "Failed to import JSON Resume");
+      }
+      const data = await response.json();
+
+      setSelectedId("");
+      setForm(toForm(data.data));
+      setMessage(`Imported ${file.name}. Review the profile and click Save to create it.`);
+      setImportWarnings(data.warnings);
+      if (!data.validation.valid) {
+        setError({ message: "Fix these fields before saving", details: data.validation.errors });
+      }
+    } catch (err) {
+      setError({ message: err.message, details: err.details });
+    }
+  }, []);
+
+  const handleDelete = useCallback(async () => {
+    if (!selectedId || !window.confirm(`Delete profile "${selectedId}"? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/profiles?id=${encodeURIComponent(selectedId)}`, { method: "DELETE" });
+      if (!response.ok) {
+        throw await apiErrorFrom(response, "Failed to delete profile");
+      }
+
+      setMessage(`Deleted profile "${selectedId}"`);
+      setSelectedId("");
+      setForm(null);
+      await refreshList();
+    } catch (err) {
+      setError({ message: err.message, details: err.details });
+    }
+  }, [selectedId, refreshList]);
+
+  const heading = useMemo(() => {
+    if (!form) return null;
+    return selectedId ? `Editing ${selectedId}` : "New Profile";
+  }, [form, selectedId]);
+
+  return (
+    <div style={containerStyle}>
+      <h1 style={titleStyle}>
+        Profile Manager
+      </h1>
+      <p style={subtitleStyle}>
+        Create and edit the contact info, work history and education used for every resume
+      </p>
+
+      <div style={cardStyle}>
+        <div style={toolbarStyle}>
+          <select
+            value={selectedId}
+            onChange={(e) => openProfile(e.target.value)}
+            style={{ ...inputStyle, flex: 1 }}
+          >
+            <option value="">-- Select a profile to edit --</option>
+            {profiles.map(p => (
+              <option key={p.id} value={p.id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+          <button onClick={() => openProfile("")} style={secondaryButtonStyle}>
+            ➕ New Profile
+          </button>
+          <label style={fileButtonStyle} title="Create a profile from a jsonresume.org resume.json">
+            📥 Import JSON Resume
+            <input type="file" accept=".json,application/json" onChange={handleImport} style={{ display: "none" }} />
+          </label>
+          {selectedId && (
+            <a href={`/api/json-resume/export?id=${encodeURIComponent(selectedId)}`} style={fileButtonStyle} title="Download this profile as a jsonresume.org resume.json">
+              📤 Export JSON Resume
+            </a>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div style={errorStyle}>
+          <strong>Error:</strong> {error.message}
+          {error.details?.length > 0 && (
+            <ul style={{ margin: "8px 0 0", paddingLeft: "20px" }}>
+              {error.details.map((d, idx) => (
+                <li key={idx}>
+                  <code>{d.path}</code>: {d.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {message && (
+        <div style={successStyle}>
+          ✓ {message}
+        </div>
+      )}
+
+      {importWarnings.length > 0 && (
+        <div style={warningStyle}>
+          <strong>Import notes:</strong>
+          <ul style={{ margin: "8px 0 0", paddingLeft: "20px" }}>
+            {importWarnings.map((w, idx) => (
+              <li key={idx}>
+                <code>{w.path}</code>: {w.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {form && (
+        <>
+          <div style={cardStyle}>
+            <h2 style={sectionTitleStyle}>
+              {heading}
+            </h2>
+            <div style={gridStyle}>
+              {CONTACT_FIELDS.map(({ key, label, required }) => (
+                <Field
+                  key={key}
+                  label={label}
+                  required={required}
+                  value={form[key]}
+                  onChange={(value) => setField(key, value)}
+                />
+              ))}
+            </div>
+          </div>
+
+          <div style={cardStyle}>
+            <h2 style={sectionTitleStyle}>
+              💼 Experience
+            </h2>
+            {form.experience.map((job, idx) => (
+              <div key={idx} style={entryStyle}>
+                <div style={entryHeaderStyle}>
+                  <span>#{idx + 1}</span>
+                  <span style={{ display: "flex", gap: "6px" }}>
+                    <button onClick={() => moveEntry("experience", idx, -1)} style={smallButtonStyle}>↑</button>
+                    <button onClick={() => moveEntry("experience", idx, 1)} style={smallButtonStyle}>↓</button>
+                    <button onClick={() => removeEntry("experience", idx)} style={smallButtonStyle}>Remove</button>
+                  </span>
+                </div>
+                <div style={gridStyle}>
+                  <Field label="Company" required value={job.company} onChange={(v) => setEntry("experience", idx, "company", v)} />
+                  <Field label="Title" value={job.title} placeholder="Used when the resume JSON has no title" onChange={(v) => setEntry("experience", idx, "title", v)} />
+                  <Field label="Location" value={job.location} onChange={(v) => setEntry("experience", idx, "location", v)} />
+                  <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "10px" }}>
+                    <Field label="Start" required value={job.start_date} placeholder="Jan 2020" onChange={(v) => setEntry("experience", idx, "start_date", v)} />
+                    <Field label="End" required value={job.end_date} placeholder="Present" onChange={(v) => setEntry("experience", idx, "end_date", v)} />
+                  </div>
+                </div>
+                <div style={{ marginTop: "12px" }}>
+                  <label style={labelStyle}>
+                    Default bullet points (one per line)
+                  </label>
+                  <textarea
+                    value={job.details}
+                    onChange={(e) => setEntry("experience", idx, "details", e.target.value)}
+                    style={textareaStyle}
+                  />
+                </div>
+              </div>
+            ))}
+            <button onClick={() => addEntry("experience", EMPTY_JOB)} style={smallButtonStyle}>
+              ➕ Add Job
+            </button>
+          </div>
+
+          <div style={cardStyle}>
+            <h2 style={sectionTitleStyle}>
+              🎓 Education
+            </h2>
+            {form.education.map((edu, idx) => (
+              <div key={idx} style={entryStyle}>
+                <div style={entryHeaderStyle}>
+                  <span>#{idx + 1}</span>
+                  <button onClick={() => removeEntry("education", idx)} style={smallButtonStyle}>Remove</button>
+                </div>
+                <div style={gridStyle}>
+                  <Field label="Degree" required value={edu.degree} onChange={(v) => setEntry("education", idx, "degree", v)} />
+                  <Field label="School" required value={edu.school} onChange={(v) => setEntry("education", idx, "school", v)} />
+                  <Field label="Start Year" value={edu.start_year} onChange={(v) => setEntry("education", idx, "start_year", v)} />
+                  <Field label="End Year" value={edu.end_year} onChange={(v) => setEntry("education", idx, "end_year", v)} />
+                </div>
+              </div>
+            ))}
+            <button onClick={() => addEntry("education", EMPTY_EDUCATION)} style={smallButtonStyle}>
+              ➕ Add Education
+            </button>
+          </div>
+
+          <div style={cardStyle}>
+            <h2 style={sectionTitleStyle}>
+              🏅 Additional Sections
+            </h2>
+            <label style={labelStyle}>
+              Projects, certifications, publications, awards and languages (JSON)
+            </label>
+            <textarea
+              value={form.extraSections}
+              onChange={(e) => setField("extraSections", e.target.value)}
+              placeholder={EXTRA_SECTIONS_PLACEHOLDER}
+              rows={10}
+              style={codeTextareaStyle}
+            />
+          </div>
+
+          <div style={cardStyle}>
+            <h2 style={sectionTitleStyle}>
+              🧩 Section Layout
+            </h2>
+            {sectionOrder.map((id, idx) => (
+              <div key={id} style={sectionRowStyle}>
+                <label style={sectionToggleStyle}>
+                  <input
+                    type="checkbox"
+                    checked={!(form.hidden_sections || []).includes(id)}
+                    onChange={() => toggleHiddenSection(id)}
+                  />
+                  {id}
+                </label>
+                <span style={{ display: "flex", gap: "6px" }}>
+                  <button onClick={() => moveSection(idx, -1)} style={smallButtonStyle}>↑</button>
+                  <button onClick={() => moveSection(idx, 1)} style={smallButtonStyle}>↓</button>
+                </span>
+              </div>
+            ))}
+          </div>
+
+          <div style={cardStyle}>
+            <h2 style={sectionTitleStyle}>
+              🎨 Theme Defaults
+            </h2>
+            <div style={gridStyle}>
+              <div>
+                <label style={labelStyle}>Paper Size</label>
+                <select
+                  value={form.theme?.paperSize || ""}
+                  onChange={(e) => setThemeField("paperSize", e.target.value)}
+                  style={inputStyle}
+                >
+                  <option value="">Template default</option>
+                  {PAPER_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+                </select>
+              </div>
+              <Field
+                label="Margins"
+                value={form.theme?.margin}
+                placeholder="Template default, e.g. 15mm 18mm"
+                onChange={(value) => setThemeField("margin", value)}
+              />
+              <div>
+                <label style={labelStyle}>Font</label>
+                <select
+                  value={form.theme?.fontFamily || ""}
+                  onChange={(e) => setThemeField("fontFamily", e.target.value)}
+                  style={inputStyle}
+                >
+                  <option value="">Template default</option>
+                  {Object.entries(FONT_FAMILIES).map(([label, family]) => (
+                    <option key={label} value={family}>{label}</option>
+                  ))}
+                  {form.theme?.fontFamily && !Object.values(FONT_FAMILIES).includes(form.theme.fontFamily) && (
+                    <option value={form.theme.fontFamily}>{form.theme.fontFamily}</option>
+                  )}
+                </select>
+              </div>
+              <div>
+                <label style={labelStyle}>Base Font Size (pt)</label>
+                <input
+                  type="number"
+                  min="7"
+                  max="14"
+                  step="0.5"
+                  value={form.theme?.fontSize ?? ""}
+                  placeholder="10"
+                  onChange={(e) => setThemeField("fontSize", e.target.value)}
+                  style={inputStyle}
+                />
+              </div>
+              <div>
+                <label style={labelStyle}>Accent Color</label>
+                <div style={{ display: "flex", gap: "8px" }}>
+                  <input
+                    type="color"
+                    value={form.theme?.accentColor || "#000000"}
+                    onChange={(e) => setThemeField("accentColor", e.target.value)}
+                    style={colorInputStyle}
+                  />
+                  <input
+                    type="text"
+                    value={form.theme?.accentColor || ""}
+                    placeholder="Template default"
+                    onChange={(e) => setThemeField("accentColor", e.target.value)}
+                    style={inputStyle}
+                  />
+                </div>
+              </div>
+              <div>
+                <label style={labelStyle}>Header Alignment</label>
+                <select
+                  value={form.theme?.headerAlign || ""}
+                  onChange={(e) => setThemeField("headerAlign", e.target.value)}
+                  style={inputStyle}
+                >
+                  <option value="">Template default</option>
+                  {HEADER_ALIGNMENTS.map(align => <option key={align} value={align}>{align}</option>)}
+                </select>
+              </div>
+            </div>
+          </div>
+
+          <div style={{ ...toolbarStyle, justifyContent: "flex-end" }}>
+            {selectedId && session?.user?.role === "admin" && (
+              <button onClick={handleDelete} style={dangerButtonStyle}>
+                🗑️ Delete
+              </button>
+            )}
+            <button onClick={handleSave} disabled={saving} style={{ ...primaryButtonStyle, opacity: saving ? 0.7 : 1 }}>
+              {saving ? "Saving..." : "💾 Save Profile"}
+            </button>
+          </div>
+        </>
+      )}
+
+      <div style={{
+        marginTop: "30px",
+        textAlign: "center"
+      }}>
+        <a
+          href="/"
+          style={linkStyle}
+        >
+          ← Back to Resume Generator
+        </a>
+      </div>
+    </div>
+  );
+}
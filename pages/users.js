@@ -0,0 +1,414 @@
+import { useState, useCallback, useEffect, useMemo } from "react";
+import { apiErrorFrom } from "../lib/errors";
+import { fetchJson, useSession } from "../lib/useSession";
+
+const ROLES = [
+  { id: "recruiter", label: "Recruiter - only the profiles ticked below" },
+  { id: "admin", label: "Admin - every profile, users and settings" }
+];
+
+const EMPTY_FORM = { username: "", name: "", email: "", role: "recruiter", profiles: [], password: "" };
+
+const toForm = (user) => ({ ...EMPTY_FORM, ...user, password: "" });
+
+// Only send a password when one was typed; blank keeps the current one
+const fromForm = ({ username, name, email, role, profiles, password }) => ({
+  username,
+  name,
+  email,
+  role,
+  profiles,
+  ...(password ? { password } : {})
+});
+
+const containerStyle = {
+  maxWidth: 900,
+  margin: "40px auto",
+  fontFamily: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+  background: "#f9f9f9",
+  padding: "30px",
+  borderRadius: "12px",
+  boxShadow: "0 4px 12px rgba(0,0,0,0.1)"
+};
+
+const titleStyle = {
+  textAlign: "center",
+  color: "#333",
+  marginBottom: "10px"
+};
+
+const subtitleStyle = {
+  textAlign: "center",
+  color: "#666",
+  marginBottom: "30px"
+};
+
+const cardStyle = {
+  background: "#fff",
+  padding: "25px",
+  borderRadius: "8px",
+  marginBottom: "20px"
+};
+
+const toolbarStyle = {
+  display: "flex",
+  gap: "10px",
+  alignItems: "center"
+};
+
+const sectionTitleStyle = {
+  margin: "0 0 15px",
+  color: "#333",
+  fontSize: "18px"
+};
+
+const gridStyle = {
+  display: "grid",
+  gridTemplateColumns: "1fr 1fr",
+  gap: "12px 16px"
+};
+
+const labelStyle = {
+  display: "block",
+  fontWeight: "bold",
+  fontSize: "13px",
+  marginBottom: "4px",
+  color: "#555"
+};
+
+const inputStyle = {
+  width: "100%",
+  padding: "8px 10px",
+  borderRadius: "6px",
+  border: "1px solid #ccc",
+  fontSize: "14px",
+  boxSizing: "border-box"
+};
+
+const profileListStyle = {
+  display: "grid",
+  gridTemplateColumns: "1fr 1fr 1fr",
+  gap: "6px 16px",
+  fontSize: "14px",
+  color: "#333"
+};
+
+const hintStyle = {
+  color: "#777",
+  fontSize: "13px",
+  margin: "0 0 12px"
+};
+
+const buttonBaseStyle = {
+  border: "none",
+  padding: "8px 16px",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontSize: "14px"
+};
+
+const primaryButtonStyle = {
+  ...buttonBaseStyle,
+  background: "#4CAF50",
+  color: "#fff",
+  fontWeight: "bold"
+};
+
+const secondaryButtonStyle = {
+  ...buttonBaseStyle,
+  background: "#2196F3",
+  color: "#fff"
+};
+
+const dangerButtonStyle = {
+  ...buttonBaseStyle,
+  background: "#f44336",
+  color: "#fff"
+};
+
+const smallButtonStyle = {
+  ...buttonBaseStyle,
+  padding: "4px 10px",
+  fontSize: "12px",
+  background: "#eee",
+  color: "#555"
+};
+
+const errorStyle = {
+  background: "#ffebee",
+  color: "#c62828",
+  padding: "15px",
+  borderRadius: "8px",
+  marginBottom: "20px",
+  border: "1px solid #ef5350"
+};
+
+const successStyle = {
+  background: "#e8f5e9",
+  color: "#2e7d32",
+  padding: "15px",
+  borderRadius: "8px",
+  marginBottom: "20px"
+};
+
+const linkStyle = {
+  color: "#2196F3",
+  textDecoration: "none",
+  fontSize: "14px"
+};
+
+export default function Users() {
+  const session = useSession();
+  const [users, setUsers] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+  const [selected, setSelected] = useState("");
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const isAdmin = session?.user?.role === "admin";
+
+  const refreshUsers = useCallback(async () => {
+    try {
+      setUsers(await fetchJson("/api/users", { fallbackMessage: "Failed to load users" }));
+    } catch (err) {
+      setError({ message: err.message, details: err.details });
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    refreshUsers();
+    fetchJson("/api/profiles", { fallbackMessage: "Failed to load profiles" })
+      .then(data => setProfiles(data))
+      .catch(err => setError({ message: err.message, details: err.details }));
+  }, [isAdmin, refreshUsers]);
+
+  const openUser = useCallback((username) => {
+    setSelected(username);
+    setError(null);
+    setMessage(null);
+    const user = users.find(u => u.username === username);
+    setForm(user ? toForm(user) : { ...EMPTY_FORM });
+  }, [users]);
+
+  const setField = useCallback((key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+  }, []);
+
+  const toggleProfile = useCallback((id) => {
+    setForm(prev => ({
+      ...prev,
+      profiles: prev.profiles.includes(id) ? prev.profiles.filter(p => p !== id) : [...prev.profiles, id]
+    }));
+  }, []);
+
+  const setAllProfiles = useCallback((checked) => {
+    setForm(prev => ({ ...prev, profiles: checked ? profiles.map(p => p.id) : [] }));
+  }, [profiles]);
+
+  const handleSave = useCallback(async () => {
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const url = selected ? `/api/users?username=${encodeURIComponent(selected)}` : "/api/users";
+      const response = await fetch(url, {
+        method: selected ? "PUT" : "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(fromForm(form))
+      });
+      if (!response.ok) throw await apiErrorFrom(response, "Failed to save user");
+
+      const user = await response.json();
+      await refreshUsers();
+      setSelected(user.username);
+      setForm(toForm(user));
+      setMessage(`✓ Saved ${user.username}`);
+    } catch (err) {
+      setError({ message: err.message, details: err.details });
+    } finally {
+      setSaving(false);
+    }
+  }, [selected, form, refreshUsers]);
+
+  const handleDelete = useCallback(async () => {
+    if (!selected || !window.confirm(`Delete user "${selected}"? They will be signed out.`)) return;
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await fetch(`/api/users?username=${encodeURIComponent(selected)}`, { method: "DELETE" });
+      if (!response.ok) throw await apiErrorFrom(response, "Failed to delete user");
+      setMessage(`✓ Deleted ${selected}`);
+      setSelected("");
+      setForm(null);
+      await refreshUsers();
+    } catch (err) {
+      setError({ message: err.message, details: err.details });
+    }
+  }, [selected, refreshUsers]);
+
+  const heading = useMemo(() => {
+    if (!form) return null;
+    return selected ? `Editing ${selected}` : "New User";
+  }, [form, selected]);
+
+  if (session && !isAdmin) {
+    return (
+      <div style={containerStyle}>
+        <h1 style={titleStyle}>Users</h1>
+        <p style={subtitleStyle}>Only admins can manage users.</p>
+        <div style={{ textAlign: "center" }}>
+          <a href="/" style={linkStyle}>← Back to Resume Generator</a>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={containerStyle}>
+      <h1 style={titleStyle}>
+        Users
+      </h1>
+      <p style={subtitleStyle}>
+        Who can sign in, and which profiles each recruiter can see and generate from
+      </p>
+
+      <div style={cardStyle}>
+        <div style={toolbarStyle}>
+          <select
+            value={selected}
+            onChange={(e) => openUser(e.target.value)}
+            style={{ ...inputStyle, flex: 1 }}
+          >
+            <option value="">-- Select a user to edit --</option>
+            {users.map(u => (
+              <option key={u.username} value={u.username}>
+                {u.username} ({u.role}{u.role === "recruiter" ? `, ${u.profiles.length} profiles` : ""})
+              </option>
+            ))}
+          </select>
+          <button onClick={() => openUser("")} style={secondaryButtonStyle}>
+            ➕ New User
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div style={errorStyle}>
+          <strong>Error:</strong> {error.message}
+          {error.details?.length > 0 && (
+            <ul style={{ margin: "8px 0 0", paddingLeft: "20px" }}>
+              {error.details.map((d, idx) => (
+                <li key={idx}>
+                  <code>{d.path}</code>: {d.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {message && <div style={successStyle}>{message}</div>}
+
+      {form && (
+        <>
+          <div style={cardStyle}>
+            <h2 style={sectionTitleStyle}>{heading}</h2>
+            <div style={gridStyle}>
+              <div>
+                <label style={labelStyle}>Username *</label>
+                <input
+                  type="text"
+                  value={form.username}
+                  disabled={Boolean(selected)}
+                  onChange={(e) => setField("username", e.target.value)}
+                  placeholder="jane or jane@agency.com"
+                  style={inputStyle}
+                />
+              </div>
+              <div>
+                <label style={labelStyle}>{selected ? "New Password" : "Password"}</label>
+                <input
+                  type="password"
+                  autoComplete="new-password"
+                  value={form.password}
+                  onChange={(e) => setField("password", e.target.value)}
+                  placeholder={selected ? "Leave blank to keep the current one" : "At least 8 characters; blank for single sign-on only"}
+                  style={inputStyle}
+                />
+              </div>
+              <div>
+                <label style={labelStyle}>Name</label>
+                <input type="text" value={form.name || ""} onChange={(e) => setField("name", e.target.value)} style={inputStyle} />
+              </div>
+              <div>
+                <label style={labelStyle}>Email</label>
+                <input type="text" value={form.email || ""} onChange={(e) => setField("email", e.target.value)} style={inputStyle} />
+              </div>
+              <div style={{ gridColumn: "1 / -1" }}>
+                <label style={labelStyle}>Role</label>
+                <select value={form.role} onChange={(e) => setField("role", e.target.value)} style={inputStyle}>
+                  {ROLES.map(role => <option key={role.id} value={role.id}>{role.label}</option>)}
+                </select>
+              </div>
+            </div>
+          </div>
+
+          {form.role === "recruiter" && (
+            <div style={cardStyle}>
+              <div style={{ ...toolbarStyle, justifyContent: "space-between", marginBottom: "10px" }}>
+                <h2 style={{ ...sectionTitleStyle, margin: 0 }}>Assigned Profiles ({form.profiles.length})</h2>
+                <div style={toolbarStyle}>
+                  <button onClick={() => setAllProfiles(true)} style={smallButtonStyle}>All</button>
+                  <button onClick={() => setAllProfiles(false)} style={smallButtonStyle}>None</button>
+                </div>
+              </div>
+              <p style={hintStyle}>
+                Profiles a recruiter creates are added here automatically.
+              </p>
+              <div style={profileListStyle}>
+                {profiles.map(p => (
+                  <label key={p.id}>
+                    <input
+                      type="checkbox"
+                      checked={form.profiles.includes(p.id)}
+                      onChange={() => toggleProfile(p.id)}
+                    />{" "}
+                    {p.name}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div style={{ ...toolbarStyle, justifyContent: "flex-end" }}>
+            {selected && selected !== session?.user?.username && (
+              <button onClick={handleDelete} style={dangerButtonStyle}>
+                🗑️ Delete
+              </button>
+            )}
+            <button onClick={handleSave} disabled={saving} style={{ ...primaryButtonStyle, opacity: saving ? 0.7 : 1 }}>
+              {saving ? "Saving..." : "💾 Save User"}
+            </button>
+          </div>
+        </>
+      )}
+
+      <div style={{
+        marginTop: "30px",
+        textAlign: "center"
+      }}>
+        <a
+          href="/"
+          style={linkStyle}
+        >
+          ← Back to Resume Generator
+        </a>
+      </div>
+    </div>
+  );
+}